@@ -1,7 +1,11 @@
 const db = require('./database-mongo');
 const BlockchainService = require('./blockchain');
+const { groupConfigsByRole, describeRoleEvaluation } = require('./rules');
+const { evaluateRoleWithSafes } = require('./safes');
+const { formatTokenIds } = require('./token-ids');
+const { describeTraitConditions } = require('./nft-metadata');
 
-const blockchainService = new BlockchainService(process.env.AVALANCHE_RPC_URL);
+const blockchainService = BlockchainService.shared();
 
 /**
  * Generate verification message (must match handlers.js)
@@ -23,7 +27,7 @@ async function verifyWallet(req, res) {
     });
   }
 
-  const { walletAddress, signature, client } = req.body;
+  const { walletAddress, signature, client, chainId } = req.body;
 
   // Validate inputs
   if (!walletAddress || !signature) {
@@ -45,8 +49,10 @@ async function verifyWallet(req, res) {
     // Generate expected message
     const message = getVerificationMessage();
 
-    // Verify signature
-    const isValid = blockchainService.verifySignature(message, signature, walletAddress);
+    // Verify signature (EOA, or EIP-1271 / ERC-6492 for contract wallets on chainId if given)
+    const isValid = await blockchainService.verifySignature(message, signature, walletAddress, {
+      chainId: Number(chainId) || undefined
+    });
 
     if (!isValid) {
       return res.status(400).json({
@@ -59,6 +65,7 @@ async function verifyWallet(req, res) {
     const discordUser = req.session.discordUser;
     await db.addWallet(discordUser.id, walletAddress, discordUser.username);
     const walletCount = await db.getWalletCount(discordUser.id);
+    const walletAddresses = (await db.getWallets(discordUser.id)).map(wallet => wallet.wallet_address);
 
     console.log(`Wallet ${walletAddress} verified for Discord user ${discordUser.username} (${discordUser.id})`);
 
@@ -79,35 +86,81 @@ async function verifyWallet(req, res) {
 
           guildsChecked.push(guild.name);
 
-          // Get role configs for this guild
+          // Get role configs and rules for this guild
           const roleConfigs = await db.getRoleConfigs(guildId);
           if (roleConfigs.length === 0) continue;
+          const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(guildId), await db.getTierGroups(guildId));
 
-          // Check each role requirement
-          for (const config of roleConfigs) {
+          // Check each role against all of the user's wallets
+          for (const roleGroup of roleGroups) {
             try {
-              const result = await blockchainService.verifyTokenRequirements(walletAddress, config);
-
-              if (result.hasBalance) {
-                const role = guild.roles.cache.get(config.role_id);
-                if (role && !member.roles.cache.has(config.role_id)) {
+              const role = guild.roles.cache.get(roleGroup.roleId);
+              if (!role) continue;
+
+              const evaluation = await evaluateRoleWithSafes(blockchainService, {
+                discordId: discordUser.id,
+                guildId,
+                walletAddresses,
+                roleGroup
+              });
+              const requirements = evaluation.configResults.map(({ config, status, qualified, result }) => ({
+                tokenType: config.token_type,
+                mode: config.evaluation_mode || 'any',
+                qualified,
+                // qualified, not_qualified or unknown (could not be checked)
+                status,
+                balance: result ? result.balance : null,
+                required: result ? result.required : config.min_balance,
+                symbol: result?.symbol || null,
+                denomination: config.denomination || 'TOKEN',
+                // USD requirements: the price used and the token amount it was applied to
+                price: result?.price || null,
+                tokenBalance: result?.tokenBalance || null,
+                // Requirements with a staking contract: how much of balance is staked
+                stakedBalance: result?.stakedBalance || null,
+                // LP requirements: the token amount from liquidity, the LP tokens behind it (wallet + staked)
+                // and the token held in the wallet itself (when it counts)
+                liquidityBalance: result?.liquidityBalance || null,
+                lpBalance: result?.lpBalance || null,
+                stakedLpBalance: result?.stakedLpBalance || null,
+                heldBalance: result?.heldBalance || null,
+                // CUSTOM_CALL requirements: how balance is compared with required
+                comparator: config.custom_call?.comparator || null,
+                // Token ID and trait requirements: the IDs and traits that count, and the matching IDs held
+                tokenIdSet: config.token_ids?.length ? formatTokenIds(config.token_ids) : null,
+                // ERC1155 requirements: any, all or sum across the IDs
+                tokenIdMode: config.token_id_mode || null,
+                traits: config.traits?.length ? describeTraitConditions(config.traits) : null,
+                tokenIds: result?.tokenIds || null
+              }));
+
+              if (evaluation.qualified) {
+                if (!member.roles.cache.has(roleGroup.roleId)) {
                   await member.roles.add(role);
-                  rolesAdded.push({ guild: guild.name, role: role.name });
-                  await db.logVerification(discordUser.id, guildId, config.role_id, 'added', 'Web verification');
+                  rolesAdded.push({ guild: guild.name, role: role.name, requirements });
+                  await db.logVerification(discordUser.id, guildId, roleGroup.roleId, 'added', 'Web verification');
                   console.log(`Added role ${role.name} in ${guild.name}`);
                 }
+              } else if (evaluation.status === 'unknown') {
+                await db.logVerification(discordUser.id, guildId, roleGroup.roleId, 'unknown', `Web verification - ${describeRoleEvaluation(evaluation)}`);
+                await db.scheduleRecheck(discordUser.id);
+                rolesFailed.push({
+                  guild: guild.name,
+                  role: role.name,
+                  reason: `${describeRoleEvaluation(evaluation)} - it will be checked again shortly`,
+                  requirements
+                });
               } else {
-                const role = guild.roles.cache.get(config.role_id);
-                if (role) {
-                  rolesFailed.push({
-                    guild: guild.name,
-                    role: role.name,
-                    reason: `Insufficient balance (has: ${result.balance}, needs: ${result.required})`
-                  });
-                }
+                rolesFailed.push({
+                  guild: guild.name,
+                  role: role.name,
+                  reason: describeRoleEvaluation(evaluation) +
+                    (evaluation.safesClaimedByOthers > 0 ? ' (a linked Safe already counts for another co-owner)' : ''),
+                  requirements
+                });
               }
             } catch (error) {
-              console.error(`Error checking role ${config.role_id}:`, error);
+              console.error(`Error checking role ${roleGroup.roleId}:`, error);
             }
           }
 
@@ -157,9 +210,12 @@ async function getStatus(req, res) {
   const discordUser = req.session.discordUser;
   const wallets = await db.getWallets(discordUser.id);
 
+  // Primary .avax / ENS name of each wallet, if it has one
+  const names = await Promise.all(wallets.map(wallet => blockchainService.lookupName(wallet.wallet_address)));
+
   res.json({
     user: discordUser,
-    wallets: wallets,
+    wallets: wallets.map((wallet, index) => ({ ...wallet, name: names[index] })),
     walletCount: wallets.length
   });
 }
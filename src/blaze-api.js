@@ -1,7 +1,7 @@
 const db = require('./database-mongo');
 const BlockchainService = require('./blockchain');
 
-const blockchainService = new BlockchainService(process.env.AVALANCHE_RPC_URL);
+const blockchainService = BlockchainService.shared();
 
 /**
  * Generate verification message (must match blaze-verify.html)
@@ -63,7 +63,7 @@ async function verifyBlazeWallet(req, res) {
 
     // Verify the signature
     const message = getVerificationMessage();
-    const isValid = blockchainService.verifySignature(message, signature, walletAddress);
+    const isValid = await blockchainService.verifySignature(message, signature, walletAddress);
     if (!isValid) {
       return res.status(400).json({ error: 'Signature verification failed' });
     }
@@ -267,7 +267,8 @@ async function checkWalletForObeezNft(walletAddress) {
       const result = await blockchainService.checkERC721Balance(
         walletAddress,
         config.contract_address,
-        config.min_balance || '1'
+        config.min_balance || '1',
+        { chainId: config.chain_id }
       );
       if (result.hasBalance) return true;
     } catch (error) {
@@ -1,4 +1,16 @@
 const { ethers } = require('ethers');
+const { DEFAULT_CHAIN_ID, getChain, getChains, parseRpcUrls } = require('./chains');
+const { MulticallBatcher, MULTICALL3_ABI } = require('./multicall');
+const { RpcPool, isTransientError } = require('./rpc-pool');
+const { getRuleConfigIds } = require('./rules');
+const { getStakingAdapter, stakingAdapterFits } = require('./staking-adapters');
+const TransferHistory = require('./transfer-history');
+const { getIncomingDelegations, delegationCovers } = require('./delegation');
+const { encodeCustomCall, evaluateCustomCall, isNumericType } = require('./custom-call');
+const { INTERFACE_IDS, readContractInfo, checkTokenType } = require('./token-metadata');
+const { MAX_OWNER_OF_IDS, MAX_ERC1155_IDS, countTokenIds, containsTokenId, expandTokenIds, formatTokenIds } = require('./token-ids');
+const { AVVY_CHAIN_ID, ENS_CHAIN_ID, getNameService, resolveAvvyName, lookupAvvyName } = require('./names');
+const { fetchMetadata, resolveMetadataUrl, getAttributes, matchTraits, getTokenAttributes } = require('./nft-metadata');
 
 // Standard ERC20 ABI (just the balanceOf function)
 const ERC20_ABI = [
@@ -6,36 +18,377 @@ const ERC20_ABI = [
   'function decimals() view returns (uint8)'
 ];
 
-// Standard ERC721 ABI (NFT)
+// Standard ERC721 ABI (NFT), plus ERC721Enumerable for listing tokens and tokenURI for metadata
 const ERC721_ABI = [
-  'function balanceOf(address owner) view returns (uint256)'
+  'function balanceOf(address owner) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+  'function tokenByIndex(uint256 index) view returns (uint256)',
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function tokenURI(uint256 tokenId) view returns (string)'
 ];
 
 // Standard ERC1155 ABI (Multi-token)
 const ERC1155_ABI = [
-  'function balanceOf(address account, uint256 id) view returns (uint256)'
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+  'function uri(uint256 id) view returns (string)'
+];
+
+// Chainlink-style AggregatorV3 price feed
+const AGGREGATOR_V3_ABI = [
+  'function decimals() view returns (uint8)',
+  'function description() view returns (string)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+// Uniswap V2 / Trader Joe V1 style pair
+const UNISWAP_V2_PAIR_ABI = [
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)'
+];
+
+// Gnosis Safe owner management
+const SAFE_ABI = [
+  'function getOwners() view returns (address[])',
+  'function getThreshold() view returns (uint256)'
 ];
 
-// Common staking contract ABI
-const STAKING_ABI = [
-  'function balanceOf(address account) view returns (uint256)',
-  'function stakedBalanceOf(address account) view returns (uint256)',
-  'function userInfo(address account) view returns (uint256 amount, uint256 end, uint256 points, uint256 originalDuration, uint256 lastUpdated)'
+// EIP-1271 contract wallet signature check
+const ERC1271_ABI = [
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4 magicValue)'
 ];
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+// ERC-6492 wraps signatures of not-yet-deployed wallets as
+// abi.encode(factory, factoryCalldata, signature) ++ magic suffix
+const ERC6492_MAGIC_SUFFIX = '0x6492649264926492649264926492649264926492649264926492649264926492';
+
+// USD values and prices are handled as 18-decimal fixed point
+const USD_DECIMALS = 18;
+
+// How long delegate.xyz lookups are reused (concurrent role checks for one user share them)
+const DELEGATION_CACHE_TTL = 5 * 60 * 1000;
+
+// Balances read at a past block never change, so they are kept longer than latest ones
+const HISTORICAL_BALANCE_CACHE_TTL = 60 * 60 * 1000;
+// Expired entries are swept once the balance cache grows past this
+const BALANCE_CACHE_SWEEP_SIZE = 10000;
+// Stands in for the wallet in balance cache keys of ERC721 ownerOf reads, which every wallet shares
+const TOKEN_OWNER_KEY = 'owner';
+
+// How long .avax / ENS lookups are reused - names are only re-pointed occasionally
+const NAME_CACHE_TTL = 60 * 60 * 1000;
+
+// Price feeds that haven't updated for longer than this are treated as broken
+const PRICE_FEED_MAX_AGE_SECONDS = 25 * 60 * 60;
+
+// Symbols a dexpair price feed's other token may have - bridged variants like USDC.e count too
+const USD_STABLECOIN_SYMBOLS = ['USDC', 'USDT', 'DAI', 'BUSD', 'FRAX', 'TUSD', 'USDP', 'LUSD', 'MIM', 'GUSD', 'PYUSD', 'FDUSD', 'USDS', 'GHO', 'CRVUSD'];
+
+// ERC1155 IDs per balanceOfBatch call
+const BALANCE_OF_BATCH_SIZE = 200;
+
+// Uniswap V2 / Trader Joe V1 LP tokens always have 18 decimals
+const LP_DECIMALS = 18;
+
+/**
+ * Call overrides for reads at a historical block (options.blockTag), if one was given
+ */
+function readOverrides(options = {}) {
+  return options.blockTag !== undefined && options.blockTag !== 'latest' ? { blockTag: options.blockTag } : {};
+}
+
+/**
+ * Key of a balance cache entry - "chainId:contract:wallet:tokenId:blockTag", lowercased
+ */
+function balanceCacheKey({ chainId, contract, wallet, tokenId = null, blockTag = 'latest' }) {
+  return [chainId, contract, wallet, tokenId ?? '', blockTag ?? 'latest'].join(':').toLowerCase();
+}
+
+/**
+ * Format an 18-decimal USD amount with cents, e.g. "505.20"
+ */
+function formatUsd(raw) {
+  return Number(ethers.formatUnits(raw, USD_DECIMALS)).toFixed(2);
+}
+
+/**
+ * Format an 18-decimal price, keeping significant digits for small prices
+ */
+function formatPrice(raw) {
+  const price = Number(ethers.formatUnits(raw, USD_DECIMALS));
+  return price >= 1 ? price.toFixed(2) : price.toPrecision(4);
+}
+
+/**
+ * Reserve of one side of a V2 pair (from getPairState()), and the token on the other side.
+ * Throws if the token is not in the pair.
+ */
+function getPairReserve(state, tokenAddress) {
+  const token = tokenAddress.toLowerCase();
+  if (state.token0 === token) return { reserve: state.reserve0, otherToken: state.token1 };
+  if (state.token1 === token) return { reserve: state.reserve1, otherToken: state.token0 };
+  throw new Error(`The pair holds \`${state.token0}\` and \`${state.token1}\`, not \`${tokenAddress}\``);
+}
+
+/**
+ * Whether a token symbol is a USD stablecoin's, e.g. "USDC" or "USDt.e"
+ */
+function isUsdStablecoin(symbol) {
+  return USD_STABLECOIN_SYMBOLS.includes(String(symbol || '').toUpperCase().replace(/\.E$/, ''));
+}
+
+/**
+ * Result of an ERC1155 multi-ID check from the balance of each ID (see token-ids.js for the modes).
+ * sum counts units of every ID; any / all count the IDs held at minBalance, so shortfalls read as missing IDs.
+ * A single ID is the same in every mode and counts units, so holding periods and tiers work on it.
+ * @param {Map<string, bigint>} idBalances - Token ID -> balance
+ */
+function evaluateERC1155Balances(idBalances, mode, minBalance) {
+  const minBalanceBN = BigInt(minBalance);
+  const balances = [...idBalances];
+
+  if (mode === 'sum' || balances.length === 1) {
+    const total = balances.reduce((sum, [, balance]) => sum + balance, 0n);
+    return {
+      hasBalance: total >= minBalanceBN,
+      balance: total.toString(),
+      required: minBalance,
+      raw: total,
+      requiredRaw: minBalanceBN,
+      decimals: 0,
+      tokenIds: balances.filter(([, balance]) => balance > 0n).map(([tokenId]) => tokenId),
+      idMode: 'sum',
+      idBalances
+    };
+  }
+
+  const matched = balances.filter(([, balance]) => balance >= minBalanceBN).map(([tokenId]) => tokenId);
+  const needed = mode === 'all' ? BigInt(balances.length) : 1n;
+  const count = BigInt(matched.length);
+
+  return {
+    hasBalance: count >= needed,
+    balance: count.toString(),
+    required: minBalance,
+    raw: count,
+    requiredRaw: needed,
+    decimals: 0,
+    tokenIds: matched,
+    idMode: mode,
+    idCount: balances.length,
+    idBalances
+  };
+}
 
 class BlockchainService {
+  /**
+   * @param {string} [rpcUrl] - Optional override for the default (Avalanche C-Chain) RPC URL
+   */
   constructor(rpcUrl) {
-    this.provider = new ethers.JsonRpcProvider(rpcUrl);
+    this.rpcUrl = rpcUrl;
+    this.providers = new Map();
+    this.runners = new Map();
+    this.blockTimestamps = new Map(); // "chainId:timestamp" -> block number
+    this.delegations = new Map(); // "chainId:wallet:blockTag" -> { expires, promise }
+    this.tokenDecimals = new Map(); // "chainId:contract" -> Promise<number>
+    this.enumerableContracts = new Map(); // "chainId:contract" -> Promise<boolean>
+    this.names = new Map(); // "forward:name" / "reverse:address" -> { expires, promise }
+    this.balances = new Map(); // "chainId:contract:wallet:tokenId:blockTag" -> { chainId, contract, wallet, expires, promise }
+    // Latest balances are reused this long - the Transfer watcher and manual refreshes drop them sooner
+    this.balanceCacheTtl = (parseInt(process.env.BALANCE_CACHE_TTL_SECONDS) || 300) * 1000;
+    this.transferHistory = new TransferHistory(chainId => this.getProvider(chainId));
+    this.provider = this.getProvider(DEFAULT_CHAIN_ID);
+  }
+
+  /**
+   * Get (or lazily create) the provider for a chain from the chain registry.
+   * It is an RpcPool over all of the chain's RPC URLs, with failover and retries.
+   */
+  getProvider(chainId = DEFAULT_CHAIN_ID) {
+    const id = Number(chainId || DEFAULT_CHAIN_ID);
+
+    if (this.providers.has(id)) {
+      return this.providers.get(id);
+    }
+
+    const chain = getChain(id);
+    if (!chain) {
+      throw new Error(`Unsupported chain: ${id}`);
+    }
+
+    const rpcUrls = id === DEFAULT_CHAIN_ID && this.rpcUrl ? parseRpcUrls(this.rpcUrl) : chain.rpcUrls;
+    if (!rpcUrls.length) {
+      throw new Error(`No RPC URL configured for chain ${id}`);
+    }
+
+    const provider = new RpcPool(rpcUrls, id);
+    this.providers.set(id, provider);
+    return provider;
+  }
+
+  /**
+   * Provider for critical reads - results need RPC_QUORUM of the chain's RPC endpoints to agree
+   * (falls back to a single endpoint when only one is configured)
+   */
+  getQuorumProvider(chainId = DEFAULT_CHAIN_ID) {
+    return this.getProvider(chainId).withQuorum();
+  }
+
+  /**
+   * Get the contract runner for a chain.
+   * Reads go through a Multicall3 batcher where the chain has Multicall3 deployed,
+   * so concurrent checks are aggregated into a few aggregate3 calls.
+   */
+  getRunner(chainId = DEFAULT_CHAIN_ID) {
+    const id = Number(chainId || DEFAULT_CHAIN_ID);
+
+    if (this.runners.has(id)) {
+      return this.runners.get(id);
+    }
+
+    const provider = this.getProvider(id);
+    const chain = getChain(id);
+    const runner = chain.multicall3
+      ? new MulticallBatcher(provider, { address: chain.multicall3 })
+      : provider;
+
+    this.runners.set(id, runner);
+    return runner;
+  }
+
+  /**
+   * Read a balance through the balance cache, keyed by (chain, contract, wallet, tokenId, block).
+   * Concurrent identical reads share one request; failed reads are not kept.
+   * @param {{ chainId?: number, contract: string, wallet: string, tokenId?: string, blockTag?: string|number }} key
+   * @param {() => Promise<any>} read - Does the actual read on a cache miss (usually a bigint balance)
+   */
+  cachedBalance({ chainId, contract, wallet, tokenId = null, blockTag = 'latest' }, read) {
+    const id = Number(chainId || DEFAULT_CHAIN_ID);
+    const key = balanceCacheKey({ chainId: id, contract, wallet, tokenId, blockTag });
+
+    const cached = this.balances.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.promise;
+    }
+
+    const promise = read();
+    promise.catch(() => {
+      if (this.balances.get(key)?.promise === promise) this.balances.delete(key);
+    });
+
+    const historical = blockTag !== undefined && blockTag !== 'latest';
+    this.balances.set(key, {
+      chainId: id,
+      contract: contract.toLowerCase(),
+      wallet: wallet.toLowerCase(),
+      expires: Date.now() + (historical ? HISTORICAL_BALANCE_CACHE_TTL : this.balanceCacheTtl),
+      promise
+    });
+
+    if (this.balances.size > BALANCE_CACHE_SWEEP_SIZE) {
+      const now = Date.now();
+      for (const [entryKey, entry] of this.balances) {
+        if (entry.expires <= now) this.balances.delete(entryKey);
+      }
+    }
+
+    return promise;
+  }
+
+  /**
+   * Drop cached balances, e.g. after a Transfer involving the wallet or when a user asks for a refresh.
+   * Every given field must match; with no fields the whole cache is cleared.
+   * @param {{ chainId?: number, contract?: string, wallet?: string }} [filter]
+   * @returns {number} Entries dropped
+   */
+  invalidateBalances({ chainId, contract, wallet } = {}) {
+    let dropped = 0;
+
+    for (const [key, entry] of this.balances) {
+      if (chainId !== undefined && entry.chainId !== Number(chainId)) continue;
+      if (contract && entry.contract !== contract.toLowerCase()) continue;
+      if (wallet && entry.wallet !== wallet.toLowerCase()) continue;
+
+      this.balances.delete(key);
+      dropped++;
+    }
+
+    return dropped;
+  }
+
+  /**
+   * Drop the cached latest owner of an ERC721 token, e.g. after the Transfer watcher sees it move
+   * (owners at past blocks don't change)
+   */
+  invalidateTokenOwner({ chainId, contract, tokenId }) {
+    const id = Number(chainId || DEFAULT_CHAIN_ID);
+    return this.balances.delete(balanceCacheKey({ chainId: id, contract, wallet: TOKEN_OWNER_KEY, tokenId: String(tokenId) }));
+  }
+
+  /**
+   * Get an ERC20 token's decimals - from the config's stored metadata (options.tokenMetadata)
+   * when there is one, otherwise read once per token and kept for the life of the process
+   */
+  async getTokenDecimals(contractAddress, options = {}) {
+    if (options.tokenMetadata?.decimals != null) {
+      return options.tokenMetadata.decimals;
+    }
+
+    const key = `${options.chainId || DEFAULT_CHAIN_ID}:${contractAddress.toLowerCase()}`;
+    if (!this.tokenDecimals.has(key)) {
+      const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.getRunner(options.chainId));
+      const promise = contract.decimals().then(Number);
+      // Don't keep failed reads around
+      promise.catch(() => this.tokenDecimals.delete(key));
+      this.tokenDecimals.set(key, promise);
+    }
+
+    return this.tokenDecimals.get(key);
+  }
+
+  /**
+   * Probe a token contract for /addrole: check code is deployed, that it matches the
+   * token type (ERC165 for ERC721/ERC1155, decimals() for ERC20) and read its metadata.
+   * Throws with an explanation for the admin if it doesn't fit.
+   * @returns {Promise<{ name: string|null, symbol: string|null, decimals: number }>}
+   */
+  async inspectTokenContract(contractAddress, tokenType, options = {}) {
+    const code = await this.getProvider(options.chainId).getCode(contractAddress);
+    if (code === '0x') {
+      throw new Error('No contract is deployed at this address on this chain');
+    }
+
+    const info = await readContractInfo(this.getRunner(options.chainId), contractAddress);
+    const metadata = checkTokenType(info, tokenType);
+
+    if (tokenType === 'ERC20') {
+      this.tokenDecimals.set(
+        `${options.chainId || DEFAULT_CHAIN_ID}:${contractAddress.toLowerCase()}`,
+        Promise.resolve(metadata.decimals)
+      );
+    }
+
+    return metadata;
   }
 
   /**
    * Check ERC20 token balance
    */
-  async checkERC20Balance(walletAddress, contractAddress, minBalance) {
+  async checkERC20Balance(walletAddress, contractAddress, minBalance, options = {}) {
     try {
-      const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
-      const balance = await contract.balanceOf(walletAddress);
-      const decimals = await contract.decimals();
+      const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.getRunner(options.chainId));
+      const [balance, decimals] = await Promise.all([
+        this.cachedBalance(
+          { chainId: options.chainId, contract: contractAddress, wallet: walletAddress, blockTag: options.blockTag },
+          () => contract.balanceOf(walletAddress, readOverrides(options))
+        ),
+        this.getTokenDecimals(contractAddress, options)
+      ]);
 
       const formattedBalance = ethers.formatUnits(balance, decimals);
       const minBalanceFormatted = ethers.parseUnits(minBalance.toString(), decimals);
@@ -43,7 +396,10 @@ class BlockchainService {
       return {
         hasBalance: balance >= minBalanceFormatted,
         balance: formattedBalance,
-        required: minBalance
+        required: minBalance,
+        raw: balance,
+        requiredRaw: minBalanceFormatted,
+        decimals: Number(decimals)
       };
     } catch (error) {
       console.error(`Error checking ERC20 balance: ${error.message}`);
@@ -52,19 +408,30 @@ class BlockchainService {
   }
 
   /**
-   * Check ERC721 NFT balance
+   * Check ERC721 NFT balance, plus the tokens staked in options.stakingContract if set
    */
-  async checkERC721Balance(walletAddress, contractAddress, minBalance = '1') {
+  async checkERC721Balance(walletAddress, contractAddress, minBalance = '1', options = {}) {
     try {
-      const contract = new ethers.Contract(contractAddress, ERC721_ABI, this.provider);
-      const balance = await contract.balanceOf(walletAddress);
+      const contract = new ethers.Contract(contractAddress, ERC721_ABI, this.getRunner(options.chainId));
+      const [walletBalance, staked] = await Promise.all([
+        this.cachedBalance(
+          { chainId: options.chainId, contract: contractAddress, wallet: walletAddress, blockTag: options.blockTag },
+          () => contract.balanceOf(walletAddress, readOverrides(options))
+        ),
+        options.stakingContract ? this.getStakedNFTCount(walletAddress, options.stakingContract, options) : null
+      ]);
 
+      const balance = walletBalance + (staked ?? 0n);
       const minBalanceBN = BigInt(minBalance);
 
       return {
         hasBalance: balance >= minBalanceBN,
         balance: balance.toString(),
-        required: minBalance
+        required: minBalance,
+        raw: balance,
+        requiredRaw: minBalanceBN,
+        decimals: 0,
+        ...(staked !== null && { stakedRaw: staked, stakedBalance: staked.toString() })
       };
     } catch (error) {
       console.error(`Error checking ERC721 balance: ${error.message}`);
@@ -73,176 +440,1647 @@ class BlockchainService {
   }
 
   /**
-   * Check ERC1155 token balance
-   * Note: Requires tokenId
+   * Whether an ERC721 contract reports ERC721Enumerable support (cached per contract)
+   */
+  isERC721Enumerable(contractAddress, options = {}) {
+    const key = `${Number(options.chainId || DEFAULT_CHAIN_ID)}:${contractAddress.toLowerCase()}`;
+
+    if (!this.enumerableContracts.has(key)) {
+      const contract = new ethers.Contract(contractAddress, ERC721_ABI, this.getRunner(options.chainId));
+      const promise = contract.supportsInterface(INTERFACE_IDS.ERC721Enumerable).catch(error => {
+        // No ERC165 at all
+        if (error.code === 'CALL_EXCEPTION') return false;
+        this.enumerableContracts.delete(key);
+        throw error;
+      });
+      this.enumerableContracts.set(key, promise);
+    }
+
+    return this.enumerableContracts.get(key);
+  }
+
+  /**
+   * Token IDs from a set (see token-ids.js) that a wallet holds - or all of its tokens when
+   * tokenIds is null, which needs ERC721Enumerable.
+   * Lists the wallet's tokens with tokenOfOwnerByIndex when the contract is ERC721Enumerable
+   * and that takes fewer calls; otherwise checks ownerOf for every ID in the set.
+   * @returns {Promise<string[]>} Matched IDs, ascending
+   */
+  async getOwnedTokenIds(walletAddress, contractAddress, tokenIds, options = {}) {
+    const contract = new ethers.Contract(contractAddress, ERC721_ABI, this.getRunner(options.chainId));
+    const overrides = readOverrides(options);
+    const maxIds = BigInt(MAX_OWNER_OF_IDS);
+    // No set: as if it held every ID, so the wallet's tokens are always listed
+    const idCount = tokenIds ? countTokenIds(tokenIds) : ethers.MaxUint256;
+
+    const [enumerable, balance] = await Promise.all([
+      this.isERC721Enumerable(contractAddress, options),
+      this.cachedBalance(
+        { chainId: options.chainId, contract: contractAddress, wallet: walletAddress, blockTag: options.blockTag },
+        () => contract.balanceOf(walletAddress, overrides)
+      )
+    ]);
+
+    if (balance === 0n) return [];
+
+    if (enumerable && (balance <= idCount || idCount > maxIds)) {
+      if (balance > maxIds) {
+        throw new Error(`Wallet holds ${balance} tokens of ${contractAddress}, too many to list`);
+      }
+
+      const owned = await Promise.all(Array.from({ length: Number(balance) }, (_, index) =>
+        contract.tokenOfOwnerByIndex(walletAddress, index, overrides)
+      ));
+      return owned
+        .filter(tokenId => !tokenIds || containsTokenId(tokenIds, tokenId))
+        .sort((a, b) => (a < b ? -1 : 1))
+        .map(String);
+    }
+
+    if (!tokenIds) {
+      throw new Error(`${contractAddress} is not ERC721Enumerable, so a wallet's tokens can't be listed without a token ID set`);
+    }
+
+    if (idCount > maxIds) {
+      throw new Error(`${idCount} token IDs are too many to check with ownerOf (max ${MAX_OWNER_OF_IDS})`);
+    }
+
+    // Owners are cached per token rather than per wallet, so checking many wallets against
+    // the same ID set reads each token once
+    const ids = expandTokenIds(tokenIds);
+    const owners = await Promise.all(ids.map(tokenId => this.cachedBalance(
+      { chainId: options.chainId, contract: contractAddress, wallet: TOKEN_OWNER_KEY, tokenId: String(tokenId), blockTag: options.blockTag },
+      () => contract.ownerOf(tokenId, overrides).catch(error => {
+        // Burned or not minted yet
+        if (error.code === 'CALL_EXCEPTION') return null;
+        throw error;
+      })
+    )));
+
+    const wallet = walletAddress.toLowerCase();
+    return ids.filter((tokenId, index) => owners[index]?.toLowerCase() === wallet).map(String);
+  }
+
+  /**
+   * ERC721 token IDs a wallet holds (within tokenIds, if set) - in the wallet, and staked in
+   * options.stakingContract if set (through an 'ids' staking adapter)
+   * @returns {Promise<{ tokenIds: string[], staked: string[] }>} All held IDs ascending, and the staked ones
+   */
+  async getHeldTokenIds(walletAddress, contractAddress, tokenIds, options = {}) {
+    const [owned, staked] = await Promise.all([
+      this.cachedBalance(
+        {
+          chainId: options.chainId,
+          contract: contractAddress,
+          wallet: walletAddress,
+          tokenId: `ids:${tokenIds ? formatTokenIds(tokenIds) : 'all'}`,
+          blockTag: options.blockTag
+        },
+        () => this.getOwnedTokenIds(walletAddress, contractAddress, tokenIds, options)
+      ),
+      options.stakingContract ? this.getStakedTokenIds(walletAddress, options.stakingContract, options) : []
+    ]);
+
+    const stakedInSet = staked.filter(tokenId => !tokenIds || containsTokenId(tokenIds, tokenId));
+    const held = [...new Set([...owned, ...stakedInSet])].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1));
+
+    return { tokenIds: held, staked: stakedInSet };
+  }
+
+  /**
+   * Check how many tokens of an ERC721 token ID set a wallet holds (staked ones included
+   * when options.stakingContract is set)
+   * @param {Array<{ from: string, to: string }>} tokenIds - From parseTokenIds()
+   * @returns {Promise<object>} Balance result, plus tokenIds (the matched IDs)
    */
-  async checkERC1155Balance(walletAddress, contractAddress, tokenId, minBalance = '1') {
+  async checkERC721TokenIds(walletAddress, contractAddress, tokenIds, minBalance = '1', options = {}) {
     try {
-      const contract = new ethers.Contract(contractAddress, ERC1155_ABI, this.provider);
-      const balance = await contract.balanceOf(walletAddress, tokenId);
+      const { tokenIds: matched, staked } = await this.getHeldTokenIds(walletAddress, contractAddress, tokenIds, options);
 
+      const count = BigInt(matched.length);
       const minBalanceBN = BigInt(minBalance);
 
       return {
-        hasBalance: balance >= minBalanceBN,
-        balance: balance.toString(),
-        required: minBalance
+        hasBalance: count >= minBalanceBN,
+        balance: count.toString(),
+        required: minBalance,
+        raw: count,
+        requiredRaw: minBalanceBN,
+        decimals: 0,
+        tokenIds: matched,
+        ...(options.stakingContract && { stakedRaw: BigInt(staked.length), stakedBalance: String(staked.length) })
       };
     } catch (error) {
-      console.error(`Error checking ERC1155 balance: ${error.message}`);
+      console.error(`Error checking ERC721 token IDs: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Check staked token balance (raw balance only)
+   * Make sure a token ID set can be checked on a contract: sets larger than
+   * MAX_OWNER_OF_IDS need ERC721Enumerable
+   * @returns {Promise<boolean>} Whether the contract is ERC721Enumerable
+   */
+  async validateTokenIds(contractAddress, tokenIds, options = {}) {
+    const enumerable = await this.isERC721Enumerable(contractAddress, options);
+
+    if (!enumerable && countTokenIds(tokenIds) > BigInt(MAX_OWNER_OF_IDS)) {
+      throw new Error(`The contract is not ERC721Enumerable, so at most ${MAX_OWNER_OF_IDS} token IDs can be checked (with ownerOf)`);
+    }
+
+    return enumerable;
+  }
+
+  /**
+   * Check how many of a wallet's ERC721 tokens have metadata matching trait conditions
+   * (see nft-metadata.js). Lists the wallet's tokens (within tokenIds, if set, and with staked
+   * ones when options.stakingContract is set), then reads their tokenURI metadata through the nft_metadata cache.
+   * Throws if too few tokens match and some metadata could not be read, since the result
+   * would then depend on the tokens that couldn't be checked.
+   * @returns {Promise<object>} Balance result, plus tokenIds (the matching IDs)
    */
-  async getStakedBalance(walletAddress, stakingContractAddress) {
+  async checkERC721Traits(walletAddress, contractAddress, { tokenIds = null, traits }, minBalance = '1', options = {}) {
     try {
-      const contract = new ethers.Contract(stakingContractAddress, STAKING_ABI, this.provider);
+      const contract = new ethers.Contract(contractAddress, ERC721_ABI, this.getRunner(options.chainId));
+      const { tokenIds: owned, staked } = await this.getHeldTokenIds(walletAddress, contractAddress, tokenIds, options);
 
-      // Try different staking contract methods in order of preference
-      let balance;
+      // Metadata isn't tied to a block, so tokenURI is always read at the latest one
+      const { attributes, failed } = await getTokenAttributes(
+        options.chainId || DEFAULT_CHAIN_ID,
+        contractAddress,
+        owned,
+        tokenId => contract.tokenURI(tokenId)
+      );
 
-      // 1. Try userInfo() first (returns struct with amount field)
-      try {
-        const userInfo = await contract.userInfo(walletAddress);
-        balance = userInfo[0]; // amount is the first field in the struct
-        console.log(`Got staked balance from userInfo(): ${ethers.formatUnits(balance, 18)}`);
-        return balance;
-      } catch (userInfoError) {
-        console.log(`userInfo() failed, trying stakedBalanceOf(): ${userInfoError.message}`);
-      }
+      const matched = owned.filter(tokenId => attributes.has(tokenId) && matchTraits(attributes.get(tokenId), traits));
+      const count = BigInt(matched.length);
+      const minBalanceBN = BigInt(minBalance);
 
-      // 2. Try stakedBalanceOf()
-      try {
-        balance = await contract.stakedBalanceOf(walletAddress);
-        console.log(`Got staked balance from stakedBalanceOf(): ${ethers.formatUnits(balance, 18)}`);
-        return balance;
-      } catch (stakedBalanceError) {
-        console.log(`stakedBalanceOf() failed, trying balanceOf(): ${stakedBalanceError.message}`);
+      if (count < minBalanceBN && failed > 0) {
+        // Metadata hosts go down now and then - worth another try later
+        throw Object.assign(new Error(`Metadata of ${failed} token(s) of ${contractAddress} could not be read`), { transient: true });
       }
 
-      // 3. Fall back to balanceOf()
-      balance = await contract.balanceOf(walletAddress);
-      console.log(`Got staked balance from balanceOf(): ${ethers.formatUnits(balance, 18)}`);
-      return balance;
-
+      const stakedMatched = matched.filter(tokenId => staked.includes(tokenId)).length;
+      return {
+        hasBalance: count >= minBalanceBN,
+        balance: count.toString(),
+        required: minBalance,
+        raw: count,
+        requiredRaw: minBalanceBN,
+        decimals: 0,
+        tokenIds: matched,
+        ...(options.stakingContract && { stakedRaw: BigInt(stakedMatched), stakedBalance: String(stakedMatched) })
+      };
     } catch (error) {
-      console.error(`Error checking staked balance: ${error.message}`);
+      console.error(`Error checking ERC721 traits: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Check ERC20 balance including staked tokens
-   * Adds wallet balance + staked balance together
+   * Check how many ERC1155 tokens with metadata matching trait conditions a wallet holds,
+   * among the IDs of a token ID set (units of every matching ID are added up)
+   * @returns {Promise<object>} Balance result, plus tokenIds (the matching IDs held)
    */
-  async checkERC20BalanceWithStaking(walletAddress, contractAddress, stakingContractAddress, minBalance) {
+  async checkERC1155Traits(walletAddress, contractAddress, { tokenIds, traits }, minBalance = '1', options = {}) {
     try {
-      const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
+      const contract = new ethers.Contract(contractAddress, ERC1155_ABI, this.getRunner(options.chainId));
+      const { balances, staked } = await this.getHeldERC1155Balances(walletAddress, contractAddress, tokenIds, options);
+      const held = new Map([...balances].filter(([, balance]) => balance > 0n));
+      const { attributes, failed } = await getTokenAttributes(
+        options.chainId || DEFAULT_CHAIN_ID,
+        contractAddress,
+        [...held.keys()],
+        tokenId => contract.uri(tokenId)
+      );
 
-      // Get wallet balance
-      const walletBalance = await contract.balanceOf(walletAddress);
+      const matched = [...held.keys()].filter(tokenId => attributes.has(tokenId) && matchTraits(attributes.get(tokenId), traits));
+      const total = matched.reduce((sum, tokenId) => sum + held.get(tokenId), 0n);
+      const minBalanceBN = BigInt(minBalance);
 
-      // Get staked balance
-      const stakedBalance = await this.getStakedBalance(walletAddress, stakingContractAddress);
+      if (total < minBalanceBN && failed > 0) {
+        // Metadata hosts go down now and then - worth another try later
+        throw Object.assign(new Error(`Metadata of ${failed} token(s) of ${contractAddress} could not be read`), { transient: true });
+      }
 
-      // Add them together
-      const totalBalance = walletBalance + stakedBalance;
+      const stakedMatched = staked ? matched.reduce((sum, tokenId) => sum + (staked.get(tokenId) || 0n), 0n) : null;
+      return {
+        hasBalance: total >= minBalanceBN,
+        balance: total.toString(),
+        required: minBalance,
+        raw: total,
+        requiredRaw: minBalanceBN,
+        decimals: 0,
+        tokenIds: matched,
+        ...(stakedMatched !== null && { stakedRaw: stakedMatched, stakedBalance: stakedMatched.toString() })
+      };
+    } catch (error) {
+      console.error(`Error checking ERC1155 traits: ${error.message}`);
+      throw error;
+    }
+  }
 
-      const decimals = await contract.decimals();
-      const formattedBalance = ethers.formatUnits(totalBalance, decimals);
-      const formattedWalletBalance = ethers.formatUnits(walletBalance, decimals);
-      const formattedStakedBalance = ethers.formatUnits(stakedBalance, decimals);
-      const minBalanceFormatted = ethers.parseUnits(minBalance.toString(), decimals);
+  /**
+   * Read one token's metadata for /addrole, so trait conditions can be checked against
+   * real trait names: the first ID of the set, or the collection's first token (ERC721Enumerable)
+   * @returns {Promise<{ tokenId: string, attributes: object[] }>}
+   */
+  async inspectTokenMetadata(contractAddress, tokenType, tokenIds, options = {}) {
+    const runner = this.getRunner(options.chainId);
+    let tokenId;
+    let uri;
 
-      console.log(`Wallet balance: ${formattedWalletBalance}, Staked balance: ${formattedStakedBalance}, Total: ${formattedBalance}, Required: ${minBalance}`);
+    if (tokenType === 'ERC1155') {
+      tokenId = BigInt(tokenIds[0].from);
+      uri = await new ethers.Contract(contractAddress, ERC1155_ABI, runner).uri(tokenId);
+    } else {
+      const contract = new ethers.Contract(contractAddress, ERC721_ABI, runner);
+      tokenId = tokenIds ? BigInt(tokenIds[0].from) : await contract.tokenByIndex(0);
+      uri = await contract.tokenURI(tokenId);
+    }
+
+    const metadata = await fetchMetadata(resolveMetadataUrl(uri, tokenId));
+    return { tokenId: tokenId.toString(), attributes: getAttributes(metadata) };
+  }
+
+  /**
+   * Balances a wallet holds of every ID in an ERC1155 token ID set, read with balanceOfBatch
+   * (in chunks of BALANCE_OF_BATCH_SIZE IDs) and cached as one entry per set
+   * @returns {Promise<Map<string, bigint>>} Token ID -> balance, ascending
+   */
+  getERC1155Balances(walletAddress, contractAddress, tokenIds, options = {}) {
+    return this.cachedBalance(
+      {
+        chainId: options.chainId,
+        contract: contractAddress,
+        wallet: walletAddress,
+        tokenId: `batch:${formatTokenIds(tokenIds)}`,
+        blockTag: options.blockTag
+      },
+      async () => {
+        if (countTokenIds(tokenIds) > BigInt(MAX_ERC1155_IDS)) {
+          throw new Error(`At most ${MAX_ERC1155_IDS} ERC1155 token IDs can be checked`);
+        }
+
+        const contract = new ethers.Contract(contractAddress, ERC1155_ABI, this.getRunner(options.chainId));
+        const ids = expandTokenIds(tokenIds);
+        const chunks = [];
+        for (let i = 0; i < ids.length; i += BALANCE_OF_BATCH_SIZE) {
+          chunks.push(ids.slice(i, i + BALANCE_OF_BATCH_SIZE));
+        }
+
+        const balances = await Promise.all(chunks.map(chunk =>
+          contract.balanceOfBatch(chunk.map(() => walletAddress), chunk, readOverrides(options))
+        ));
+        return new Map(balances.flat().map((balance, index) => [ids[index].toString(), balance]));
+      }
+    );
+  }
+
+  /**
+   * Balances of an ERC1155 token ID set in the wallet plus, when options.stakingContract is
+   * set, the amounts staked there (through a 'perid' staking adapter)
+   * @returns {Promise<{ balances: Map<string, bigint>, staked: Map<string, bigint>|null }>}
+   */
+  async getHeldERC1155Balances(walletAddress, contractAddress, tokenIds, options = {}) {
+    const [owned, staked] = await Promise.all([
+      this.getERC1155Balances(walletAddress, contractAddress, tokenIds, options),
+      options.stakingContract ? this.getStakedERC1155Balances(walletAddress, options.stakingContract, tokenIds, options) : null
+    ]);
+
+    if (!staked) return { balances: owned, staked: null };
+
+    const balances = new Map([...owned].map(([tokenId, balance]) => [tokenId, balance + (staked.get(tokenId) || 0n)]));
+    return { balances, staked };
+  }
+
+  /**
+   * Check an ERC1155 requirement over a token ID set: one ID (any), every ID (all) or the
+   * units of all IDs added up (sum) compared with minBalance - see evaluateERC1155Balances().
+   * Staked amounts count when options.stakingContract is set.
+   * @returns {Promise<object>} Balance result, plus tokenIds (IDs held, or held at minBalance) and idBalances
+   */
+  async checkERC1155Balances(walletAddress, contractAddress, { tokenIds, mode = 'any' }, minBalance = '1', options = {}) {
+    try {
+      const { balances, staked } = await this.getHeldERC1155Balances(walletAddress, contractAddress, tokenIds, options);
+      const result = evaluateERC1155Balances(balances, mode, minBalance);
+
+      if (staked) {
+        result.stakedRaw = [...staked.values()].reduce((sum, balance) => sum + balance, 0n);
+        result.stakedBalance = result.stakedRaw.toString();
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error checking ERC1155 balances: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure an ERC1155 contract answers balanceOfBatch for a token ID set, so /addrole
+   * catches contracts that don't implement it
+   */
+  async validateERC1155Ids(contractAddress, tokenIds, options = {}) {
+    // Any address works; the zero address is rejected by OpenZeppelin's ERC1155
+    await this.getERC1155Balances('0x000000000000000000000000000000000000dEaD', contractAddress, tokenIds, options);
+  }
+
+  /**
+   * Check native coin balance (AVAX on the C-Chain, or the chain's native coin)
+   */
+  async checkNativeBalance(walletAddress, minBalance, options = {}) {
+    try {
+      const chain = getChain(options.chainId || DEFAULT_CHAIN_ID);
+      const balance = await this.cachedBalance(
+        { chainId: options.chainId, contract: ethers.ZeroAddress, wallet: walletAddress, blockTag: options.blockTag },
+        () => this.getProvider(options.chainId).getBalance(walletAddress, options.blockTag)
+      );
+
+      const formattedBalance = ethers.formatUnits(balance, 18);
+      const minBalanceFormatted = ethers.parseUnits(minBalance.toString(), 18);
 
       return {
-        hasBalance: totalBalance >= minBalanceFormatted,
+        hasBalance: balance >= minBalanceFormatted,
         balance: formattedBalance,
-        required: minBalance
+        required: minBalance,
+        raw: balance,
+        requiredRaw: minBalanceFormatted,
+        decimals: 18,
+        symbol: chain.nativeSymbol
       };
     } catch (error) {
-      console.error(`Error checking ERC20 balance with staking: ${error.message}`);
+      console.error(`Error checking native balance: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Verify a wallet address owns required tokens based on role config
+   * Check a CUSTOM_CALL requirement: call the configured view function for the wallet
+   * and compare the selected return value (see custom-call.js)
    */
-  async verifyTokenRequirements(walletAddress, roleConfig) {
+  async checkCustomCall(walletAddress, contractAddress, customCall, expected, options = {}) {
     try {
-      // Check based on token type
-      switch (roleConfig.token_type) {
-        case 'ERC20':
-          // If there's a staking contract, try to check both wallet AND staking balance
-          if (roleConfig.staking_contract) {
-            try {
-              return await this.checkERC20BalanceWithStaking(
-                walletAddress,
-                roleConfig.contract_address,
-                roleConfig.staking_contract,
-                roleConfig.min_balance
-              );
-            } catch (stakingError) {
-              // If staking check fails, fall back to wallet-only check
-              console.warn(`Staking contract check failed, falling back to wallet-only check: ${stakingError.message}`);
-              return await this.checkERC20Balance(
-                walletAddress,
-                roleConfig.contract_address,
-                roleConfig.min_balance
-              );
-            }
-          } else {
-            // No staking, just check wallet
-            return await this.checkERC20Balance(
-              walletAddress,
-              roleConfig.contract_address,
-              roleConfig.min_balance
-            );
-          }
+      const { iface, fragment, data } = encodeCustomCall(customCall, walletAddress);
+      const returnData = await this.getRunner(options.chainId).call({
+        to: contractAddress,
+        data,
+        ...readOverrides(options)
+      });
 
-        case 'ERC721':
-          return await this.checkERC721Balance(
-            walletAddress,
-            roleConfig.contract_address,
-            roleConfig.min_balance
-          );
+      const { value, type, passed } = evaluateCustomCall(customCall, iface, fragment, returnData, expected);
+      const numeric = isNumericType(type);
 
-        case 'ERC1155':
-          // For ERC1155, min_balance format should be "tokenId:amount"
-          const [tokenId, amount] = roleConfig.min_balance.split(':');
-          return await this.checkERC1155Balance(
-            walletAddress,
-            roleConfig.contract_address,
-            tokenId,
-            amount || '1'
-          );
+      return {
+        hasBalance: passed,
+        balance: String(value),
+        required: expected,
+        // Non-numeric results count as 1 when they pass, so sums stay meaningful
+        raw: numeric ? value : (passed ? 1n : 0n),
+        requiredRaw: numeric ? BigInt(expected) : 1n,
+        decimals: 0,
+        comparator: customCall.comparator
+      };
+    } catch (error) {
+      console.error(`Error checking custom call: ${error.message}`);
+      throw error;
+    }
+  }
 
-        default:
-          throw new Error(`Unsupported token type: ${roleConfig.token_type}`);
-      }
+  /**
+   * Make sure a CUSTOM_CALL works against the contract before the config is saved.
+   * Calls it for the zero address and returns the value it got back.
+   */
+  async validateCustomCall(contractAddress, customCall, expected, options = {}) {
+    const code = await this.getProvider(options.chainId).getCode(contractAddress);
+    if (code === '0x') {
+      throw new Error('No contract is deployed at this address on this chain');
+    }
+
+    try {
+      const result = await this.checkCustomCall(ethers.ZeroAddress, contractAddress, customCall, expected, options);
+      return result.balance;
     } catch (error) {
-      console.error(`Error verifying token requirements: ${error.message}`);
+      throw new Error(`Calling the function failed (${error.shortMessage || error.message})`);
+    }
+  }
+
+  /**
+   * Check staked token balance (raw balance only)
+   * Read through the config's staking adapter (see staking-adapters.js);
+   * configs without one use the legacy auto-detect
+   * @param {object} [options] - { chainId, stakingAdapter, stakingParams, blockTag }
+   */
+  async getStakedBalance(walletAddress, stakingContractAddress, options = {}) {
+    try {
+      const adapter = getStakingAdapter(options.stakingAdapter);
+      // The adapter and its params decide what is read, so they take the tokenId slot of the cache key
+      const readKey = `staked:${options.stakingAdapter || ''}:${JSON.stringify(options.stakingParams || {})}`;
+
+      return await this.cachedBalance(
+        { chainId: options.chainId, contract: stakingContractAddress, wallet: walletAddress, tokenId: readKey, blockTag: options.blockTag },
+        () => adapter.getBalance(
+          this.getRunner(options.chainId),
+          stakingContractAddress,
+          walletAddress,
+          options.stakingParams || {},
+          readOverrides(options)
+        )
+      );
+    } catch (error) {
+      console.error(`Error checking staked balance: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Verify a message signature to prove wallet ownership
+   * ERC721 token IDs a wallet has staked, read through the config's 'ids' staking adapter
+   * @param {object} [options] - { chainId, stakingAdapter, stakingParams, blockTag }
+   * @returns {Promise<string[]>}
    */
-  verifySignature(message, signature, expectedAddress) {
+  async getStakedTokenIds(walletAddress, stakingContractAddress, options = {}) {
     try {
-      const recoveredAddress = ethers.verifyMessage(message, signature);
-      return recoveredAddress.toLowerCase() === expectedAddress.toLowerCase();
+      const adapter = getStakingAdapter(options.stakingAdapter);
+      const readKey = `staked-ids:${options.stakingAdapter || ''}:${JSON.stringify(options.stakingParams || {})}`;
+
+      return await this.cachedBalance(
+        { chainId: options.chainId, contract: stakingContractAddress, wallet: walletAddress, tokenId: readKey, blockTag: options.blockTag },
+        async () => {
+          const tokenIds = await adapter.getTokenIds(
+            this.getRunner(options.chainId),
+            stakingContractAddress,
+            walletAddress,
+            options.stakingParams || {},
+            readOverrides(options)
+          );
+          return tokenIds.map(String);
+        }
+      );
     } catch (error) {
-      console.error(`Error verifying signature: ${error.message}`);
-      return false;
+      console.error(`Error checking staked token IDs: ${error.message}`);
+      throw error;
     }
   }
-}
+
+  /**
+   * Number of ERC721 tokens a wallet has staked: the staked IDs for 'ids' adapters,
+   * otherwise the amount the adapter reads
+   */
+  async getStakedNFTCount(walletAddress, stakingContractAddress, options = {}) {
+    if (getStakingAdapter(options.stakingAdapter).kind === 'ids') {
+      const tokenIds = await this.getStakedTokenIds(walletAddress, stakingContractAddress, options);
+      return BigInt(tokenIds.length);
+    }
+
+    return this.getStakedBalance(walletAddress, stakingContractAddress, options);
+  }
+
+  /**
+   * Staked amount of each ID of an ERC1155 token ID set, read through the config's 'perid' staking adapter
+   * @returns {Promise<Map<string, bigint>>} Token ID -> staked amount
+   */
+  async getStakedERC1155Balances(walletAddress, stakingContractAddress, tokenIds, options = {}) {
+    try {
+      const adapter = getStakingAdapter(options.stakingAdapter);
+      const readKey = `staked:${options.stakingAdapter || ''}:${JSON.stringify(options.stakingParams || {})}:${formatTokenIds(tokenIds)}`;
+
+      return await this.cachedBalance(
+        { chainId: options.chainId, contract: stakingContractAddress, wallet: walletAddress, tokenId: readKey, blockTag: options.blockTag },
+        async () => {
+          const ids = expandTokenIds(tokenIds);
+          const balances = await adapter.getBalances(
+            this.getRunner(options.chainId),
+            stakingContractAddress,
+            walletAddress,
+            ids,
+            options.stakingParams || {},
+            readOverrides(options)
+          );
+          return new Map(ids.map((tokenId, index) => [tokenId.toString(), balances[index]]));
+        }
+      );
+    } catch (error) {
+      console.error(`Error checking staked ERC1155 balances: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that a staking adapter works against a staking contract before a config is saved.
+   * Throws with an explanation if it doesn't; returns a list of non-fatal warnings.
+   * @param {object} [options] - { chainId, tokenAddress, tokenIds } - tokenIds: an ERC1155 config's set, for 'perid' adapters
+   */
+  async validateStakingAdapter(stakingContractAddress, adapterKey, params, options = {}) {
+    const adapter = getStakingAdapter(adapterKey);
+    const provider = this.getProvider(options.chainId);
+    const runner = this.getRunner(options.chainId);
+
+    const code = await provider.getCode(stakingContractAddress);
+    if (code === '0x') {
+      throw new Error('No contract is deployed at the staking address on this chain');
+    }
+
+    try {
+      if (adapter.kind === 'ids') {
+        await adapter.getTokenIds(runner, stakingContractAddress, ethers.ZeroAddress, params);
+      } else if (adapter.kind === 'perid') {
+        await adapter.getBalances(runner, stakingContractAddress, ethers.ZeroAddress, [BigInt(options.tokenIds[0].from)], params);
+      } else {
+        await adapter.getBalance(runner, stakingContractAddress, ethers.ZeroAddress, params);
+      }
+    } catch (error) {
+      throw new Error(`The ${adapterKey || 'auto'} adapter could not read a staked balance from this contract (${error.shortMessage || error.message})`);
+    }
+
+    return adapter.validate
+      ? adapter.validate(runner, stakingContractAddress, params, { tokenAddress: options.tokenAddress })
+      : [];
+  }
+
+  /**
+   * Check ERC20 balance including staked tokens
+   * Adds wallet balance + staked balance together
+   */
+  async checkERC20BalanceWithStaking(walletAddress, contractAddress, stakingContractAddress, minBalance, options = {}) {
+    try {
+      const contract = new ethers.Contract(contractAddress, ERC20_ABI, this.getRunner(options.chainId));
+
+      // Get wallet balance, staked balance and decimals together so they share a batch
+      const [walletBalance, stakedBalance, decimals] = await Promise.all([
+        this.cachedBalance(
+          { chainId: options.chainId, contract: contractAddress, wallet: walletAddress, blockTag: options.blockTag },
+          () => contract.balanceOf(walletAddress, readOverrides(options))
+        ),
+        this.getStakedBalance(walletAddress, stakingContractAddress, options),
+        this.getTokenDecimals(contractAddress, options)
+      ]);
+
+      // Add them together
+      const totalBalance = walletBalance + stakedBalance;
+
+      const formattedBalance = ethers.formatUnits(totalBalance, decimals);
+      const formattedWalletBalance = ethers.formatUnits(walletBalance, decimals);
+      const formattedStakedBalance = ethers.formatUnits(stakedBalance, decimals);
+      const minBalanceFormatted = ethers.parseUnits(minBalance.toString(), decimals);
+
+      console.log(`Wallet balance: ${formattedWalletBalance}, Staked balance: ${formattedStakedBalance}, Total: ${formattedBalance}, Required: ${minBalance}`);
+
+      return {
+        hasBalance: totalBalance >= minBalanceFormatted,
+        balance: formattedBalance,
+        required: minBalance,
+        raw: totalBalance,
+        requiredRaw: minBalanceFormatted,
+        decimals: Number(decimals),
+        stakedRaw: stakedBalance,
+        stakedBalance: formattedStakedBalance
+      };
+    } catch (error) {
+      console.error(`Error checking ERC20 balance with staking: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check an ERC20 config's token balance (wallet + staked if configured)
+   */
+  async checkERC20Requirement(walletAddress, roleConfig, minBalance, options = {}) {
+    // If there's a staking contract, try to check both wallet AND staking balance
+    if (options.stakingContract) {
+      try {
+        return await this.checkERC20BalanceWithStaking(
+          walletAddress,
+          roleConfig.contract_address,
+          options.stakingContract,
+          minBalance,
+          options
+        );
+      } catch (stakingError) {
+        // The wallet balance alone is a lower bound - it can still prove the config is met,
+        // but a failing result without the staked balance would be wrong, so that rethrows
+        console.warn(`Staking contract check failed, checking the wallet balance alone: ${stakingError.message}`);
+        const walletResult = await this.checkERC20Balance(
+          walletAddress,
+          roleConfig.contract_address,
+          minBalance,
+          options
+        );
+        if (walletResult.hasBalance) return walletResult;
+        throw stakingError;
+      }
+    }
+
+    // No staking, just check wallet
+    return await this.checkERC20Balance(
+      walletAddress,
+      roleConfig.contract_address,
+      minBalance,
+      options
+    );
+  }
+
+  /**
+   * Get the USD price of a config's token from its price feed.
+   * - chainlink: AggregatorV3 latestRoundData() / decimals()
+   * - dexpair: reserves of a V2 pair between the token and a USD stablecoin
+   * @returns {Promise<{ raw: bigint, price: string, source: string, feed: string }>} raw is 18-decimal fixed point
+   */
+  async getTokenPriceUSD(roleConfig, options = {}) {
+    const runner = this.getRunner(options.chainId);
+    const overrides = readOverrides(options);
+    const feedAddress = roleConfig.price_feed;
+
+    if (!feedAddress) {
+      throw new Error('No price feed configured');
+    }
+
+    let raw;
+
+    if (roleConfig.price_source === 'dexpair') {
+      const pair = new ethers.Contract(feedAddress, UNISWAP_V2_PAIR_ABI, runner);
+      const [token0, token1, [reserve0, reserve1]] = await Promise.all([
+        pair.token0(),
+        pair.token1(),
+        pair.getReserves(overrides)
+      ]);
+
+      const token = roleConfig.contract_address.toLowerCase();
+      let tokenReserve, quoteReserve, quoteAddress;
+      if (token0.toLowerCase() === token) {
+        [tokenReserve, quoteReserve, quoteAddress] = [reserve0, reserve1, token1];
+      } else if (token1.toLowerCase() === token) {
+        [tokenReserve, quoteReserve, quoteAddress] = [reserve1, reserve0, token0];
+      } else {
+        throw new Error('Price pair does not contain the configured token');
+      }
+
+      if (tokenReserve === 0n) {
+        throw new Error('Price pair has no liquidity');
+      }
+
+      const [tokenDecimals, quoteDecimals] = await Promise.all([
+        this.getTokenDecimals(roleConfig.contract_address, options),
+        this.getTokenDecimals(quoteAddress, { chainId: options.chainId })
+      ]);
+
+      // price = (quoteReserve / 10^quoteDecimals) / (tokenReserve / 10^tokenDecimals), as 18-decimal fixed point
+      raw = (quoteReserve * 10n ** BigInt(USD_DECIMALS) * 10n ** BigInt(tokenDecimals)) /
+        (tokenReserve * 10n ** BigInt(quoteDecimals));
+    } else {
+      const feed = new ethers.Contract(feedAddress, AGGREGATOR_V3_ABI, runner);
+      const [decimals, [, answer, , updatedAt], asOf] = await Promise.all([
+        feed.decimals(),
+        feed.latestRoundData(overrides),
+        overrides.blockTag !== undefined ? this.getBlockTimestamp(overrides.blockTag, options) : Math.floor(Date.now() / 1000)
+      ]);
+
+      if (answer <= 0n) {
+        throw new Error('Price feed returned a non-positive answer');
+      }
+
+      const age = asOf - Number(updatedAt);
+      if (age > PRICE_FEED_MAX_AGE_SECONDS) {
+        throw Object.assign(new Error(`Price feed is stale (last updated ${Math.round(age / 3600)}h ago)`), { transient: true });
+      }
+
+      raw = answer * 10n ** BigInt(USD_DECIMALS) / 10n ** BigInt(decimals);
+    }
+
+    return {
+      raw,
+      price: formatPrice(raw),
+      source: roleConfig.price_source || 'chainlink',
+      feed: feedAddress
+    };
+  }
+
+  /**
+   * Check a config's price feed for /addrole: read the price once, and make sure it is quoted in
+   * USD - a Chainlink feed described as "<token> / USD", or a pair whose other token is a USD stablecoin.
+   * Throws with an explanation for the admin if not.
+   * @returns {Promise<object>} The price, as from getTokenPriceUSD()
+   */
+  async validatePriceFeed(roleConfig, options = {}) {
+    const price = await this.getTokenPriceUSD(roleConfig, options);
+    const runner = this.getRunner(options.chainId);
+
+    if (roleConfig.price_source === 'dexpair') {
+      const pair = new ethers.Contract(roleConfig.price_feed, UNISWAP_V2_PAIR_ABI, runner);
+      const [token0, token1] = await Promise.all([pair.token0(), pair.token1()]);
+      const quote = token0.toLowerCase() === roleConfig.contract_address.toLowerCase() ? token1 : token0;
+      const { symbol } = await readContractInfo(runner, quote);
+      if (!isUsdStablecoin(symbol)) {
+        throw new Error(`The pair's other token (${symbol || quote}) is not a USD stablecoin`);
+      }
+    } else {
+      const feed = new ethers.Contract(roleConfig.price_feed, AGGREGATOR_V3_ABI, runner);
+      const description = await feed.description();
+      if (!/\/\s*USD$/i.test(description.trim())) {
+        throw new Error(`The feed prices "${description}", not a USD price`);
+      }
+    }
+
+    return price;
+  }
+
+  /**
+   * Check an ERC20 config whose min_balance is a USD value.
+   * The wallet (+ staked) token balance is converted with the config's price feed.
+   */
+  async checkERC20USDValue(walletAddress, roleConfig, options = {}) {
+    try {
+      const [tokenResult, price] = await Promise.all([
+        this.checkERC20Requirement(walletAddress, roleConfig, '0', options),
+        this.getTokenPriceUSD(roleConfig, options)
+      ]);
+
+      const valueRaw = tokenResult.raw * price.raw / 10n ** BigInt(tokenResult.decimals);
+      const requiredRaw = ethers.parseUnits(roleConfig.min_balance.toString(), USD_DECIMALS);
+
+      return {
+        hasBalance: valueRaw >= requiredRaw,
+        balance: formatUsd(valueRaw),
+        required: roleConfig.min_balance,
+        raw: valueRaw,
+        requiredRaw,
+        decimals: USD_DECIMALS,
+        denomination: 'USD',
+        tokenBalance: tokenResult.balance,
+        tokenRaw: tokenResult.raw,
+        tokenDecimals: tokenResult.decimals,
+        price: price.price,
+        priceSource: price.source
+      };
+    } catch (error) {
+      console.error(`Error checking ERC20 USD value: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Tokens, reserves and LP supply of a V2 pair. Cached like a balance of the pair itself,
+   * so a verification sweep reads them once rather than for every wallet.
+   * @returns {Promise<{ token0: string, token1: string, reserve0: bigint, reserve1: bigint, totalSupply: bigint }>}
+   */
+  getPairState(pairAddress, options = {}) {
+    const pair = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, this.getRunner(options.chainId));
+    const overrides = readOverrides(options);
+
+    return this.cachedBalance(
+      { chainId: options.chainId, contract: pairAddress, wallet: pairAddress, tokenId: 'reserves', blockTag: options.blockTag },
+      async () => {
+        const [token0, token1, [reserve0, reserve1], totalSupply] = await Promise.all([
+          pair.token0(),
+          pair.token1(),
+          pair.getReserves(overrides),
+          pair.totalSupply(overrides)
+        ]);
+        return { token0: token0.toLowerCase(), token1: token1.toLowerCase(), reserve0, reserve1, totalSupply };
+      }
+    );
+  }
+
+  /**
+   * Check a liquidity position: the LP tokens of a V2 pair in the wallet plus, when
+   * options.stakingContract is set, those staked in a farm - converted to the amount of one of
+   * the pair's tokens they can be redeemed for (LP balance * reserve / totalSupply).
+   * With includeWallet the token held directly in the wallet is added.
+   * @param {{ token: string, includeWallet?: boolean }} lp - token: the side of the pair that is counted
+   * @returns {Promise<object>} Balance result in token units, plus the breakdown:
+   *   liquidityRaw (from LP), lpRaw / stakedLpRaw (LP tokens, all / staked) and heldRaw (with includeWallet)
+   */
+  async checkLPPosition(walletAddress, pairAddress, { token, includeWallet = false }, minBalance, options = {}) {
+    try {
+      const runner = this.getRunner(options.chainId);
+      const pair = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, runner);
+      const tokenContract = new ethers.Contract(token, ERC20_ABI, runner);
+
+      const [state, walletLp, stakedLp, held, decimals] = await Promise.all([
+        this.getPairState(pairAddress, options),
+        this.cachedBalance(
+          { chainId: options.chainId, contract: pairAddress, wallet: walletAddress, blockTag: options.blockTag },
+          () => pair.balanceOf(walletAddress, readOverrides(options))
+        ),
+        options.stakingContract ? this.getStakedBalance(walletAddress, options.stakingContract, options) : 0n,
+        includeWallet
+          ? this.cachedBalance(
+            { chainId: options.chainId, contract: token, wallet: walletAddress, blockTag: options.blockTag },
+            () => tokenContract.balanceOf(walletAddress, readOverrides(options))
+          )
+          : null,
+        this.getTokenDecimals(token, options)
+      ]);
+
+      const { reserve } = getPairReserve(state, token);
+      const lpRaw = walletLp + stakedLp;
+      const liquidityRaw = state.totalSupply > 0n ? lpRaw * reserve / state.totalSupply : 0n;
+      const total = liquidityRaw + (held ?? 0n);
+      const requiredRaw = ethers.parseUnits(minBalance.toString(), decimals);
+
+      return {
+        hasBalance: total >= requiredRaw,
+        balance: ethers.formatUnits(total, decimals),
+        required: minBalance,
+        raw: total,
+        requiredRaw,
+        decimals: Number(decimals),
+        liquidityRaw,
+        liquidityBalance: ethers.formatUnits(liquidityRaw, decimals),
+        lpRaw,
+        lpBalance: ethers.formatUnits(lpRaw, LP_DECIMALS),
+        stakedLpRaw: stakedLp,
+        stakedLpBalance: ethers.formatUnits(stakedLp, LP_DECIMALS),
+        ...(held !== null && { heldRaw: held, heldBalance: ethers.formatUnits(held, decimals) })
+      };
+    } catch (error) {
+      console.error(`Error checking LP position: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Probe a V2 pair for /addrole: check it is a pair, that the token is one of its sides and
+   * read the token's metadata. Throws with an explanation for the admin if it doesn't fit.
+   * @returns {Promise<{ metadata: object, otherToken: string, perLp: string }>} perLp - token amount one LP token is worth now
+   */
+  async inspectLPPair(pairAddress, tokenAddress, options = {}) {
+    const code = await this.getProvider(options.chainId).getCode(pairAddress);
+    if (code === '0x') {
+      throw new Error('No contract is deployed at this address on this chain');
+    }
+
+    let state;
+    try {
+      state = await this.getPairState(pairAddress, options);
+    } catch (error) {
+      throw new Error(`This contract is not a Uniswap V2 / Trader Joe style pair (${error.shortMessage || error.message})`);
+    }
+
+    const { reserve, otherToken } = getPairReserve(state, tokenAddress);
+    const metadata = await this.inspectTokenContract(tokenAddress, 'ERC20', options);
+    const perLp = state.totalSupply > 0n ? reserve * 10n ** BigInt(LP_DECIMALS) / state.totalSupply : 0n;
+
+    return { metadata, otherToken, perLp: ethers.formatUnits(perLp, metadata.decimals) };
+  }
+
+  /**
+   * Verify a wallet address owns required tokens based on role config
+   * Checks are routed to the chain configured on the role config (chain_id)
+   */
+  async verifyTokenRequirements(walletAddress, roleConfig, blockTag = 'latest') {
+    // Staked tokens only count through an adapter that can read this config's type
+    const stakingFits = roleConfig.staking_contract && stakingAdapterFits(roleConfig.staking_adapter, roleConfig.token_type, {
+      specificTokens: Boolean(roleConfig.token_ids?.length || roleConfig.traits?.length)
+    });
+
+    const options = {
+      chainId: roleConfig.chain_id || DEFAULT_CHAIN_ID,
+      stakingContract: stakingFits ? roleConfig.staking_contract : undefined,
+      stakingAdapter: roleConfig.staking_adapter,
+      stakingParams: roleConfig.staking_params,
+      tokenMetadata: roleConfig.token_metadata,
+      blockTag
+    };
+
+    const result = await this.checkTokenRequirement(walletAddress, roleConfig, options);
+
+    // Show amounts as e.g. "10000 OBZ" when the token's symbol is known
+    if (roleConfig.token_metadata?.symbol && roleConfig.token_type !== 'CUSTOM_CALL' && !result.symbol) {
+      result.symbol = roleConfig.token_metadata.symbol;
+    }
+
+    if (roleConfig.min_hold_days > 0) {
+      return this.applyHoldingPeriod(walletAddress, roleConfig, result, options);
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a role config's current balance requirement for one wallet
+   */
+  async checkTokenRequirement(walletAddress, roleConfig, options) {
+    try {
+      // Check based on token type
+      switch (roleConfig.token_type) {
+        case 'ERC20':
+          if (roleConfig.denomination === 'USD') {
+            return await this.checkERC20USDValue(walletAddress, roleConfig, options);
+          }
+          return await this.checkERC20Requirement(walletAddress, roleConfig, roleConfig.min_balance, options);
+
+        case 'ERC721':
+          if (roleConfig.traits?.length) {
+            return await this.checkERC721Traits(
+              walletAddress,
+              roleConfig.contract_address,
+              { tokenIds: roleConfig.token_ids?.length ? roleConfig.token_ids : null, traits: roleConfig.traits },
+              roleConfig.min_balance,
+              options
+            );
+          }
+          if (roleConfig.token_ids?.length) {
+            return await this.checkERC721TokenIds(
+              walletAddress,
+              roleConfig.contract_address,
+              roleConfig.token_ids,
+              roleConfig.min_balance,
+              options
+            );
+          }
+          return await this.checkERC721Balance(
+            walletAddress,
+            roleConfig.contract_address,
+            roleConfig.min_balance,
+            options
+          );
+
+        case 'ERC1155':
+          // A legacy config whose min_balance could not be migrated has no IDs to check
+          if (!roleConfig.token_ids?.length) {
+            throw new Error(`Unreadable legacy min_balance "${roleConfig.min_balance}" - remove and re-add this config`);
+          }
+          if (roleConfig.traits?.length) {
+            return await this.checkERC1155Traits(
+              walletAddress,
+              roleConfig.contract_address,
+              { tokenIds: roleConfig.token_ids, traits: roleConfig.traits },
+              roleConfig.min_balance,
+              options
+            );
+          }
+          return await this.checkERC1155Balances(
+            walletAddress,
+            roleConfig.contract_address,
+            { tokenIds: roleConfig.token_ids, mode: roleConfig.token_id_mode },
+            roleConfig.min_balance,
+            options
+          );
+
+        case 'LP':
+          return await this.checkLPPosition(
+            walletAddress,
+            roleConfig.contract_address,
+            { token: roleConfig.lp_token, includeWallet: roleConfig.lp_include_wallet },
+            roleConfig.min_balance,
+            options
+          );
+
+        case 'NATIVE':
+          return await this.checkNativeBalance(
+            walletAddress,
+            roleConfig.min_balance,
+            options
+          );
+
+        case 'CUSTOM_CALL':
+          return await this.checkCustomCall(
+            walletAddress,
+            roleConfig.contract_address,
+            roleConfig.custom_call,
+            roleConfig.min_balance,
+            options
+          );
+
+        default:
+          throw new Error(`Unsupported token type: ${roleConfig.token_type}`);
+      }
+    } catch (error) {
+      console.error(`Error verifying token requirements: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a block's unix timestamp
+   */
+  async getBlockTimestamp(blockTag, options = {}) {
+    const block = await this.getProvider(options.chainId).getBlock(blockTag);
+    if (!block) {
+      throw new Error(`Block ${blockTag} not found`);
+    }
+    return block.timestamp;
+  }
+
+  /**
+   * Find the last block at or before a unix timestamp (binary search over block headers),
+   * i.e. the chain state as of that moment
+   */
+  async getBlockByTimestamp(timestamp, options = {}) {
+    const chainId = Number(options.chainId || DEFAULT_CHAIN_ID);
+    const key = `${chainId}:${timestamp}`;
+
+    if (this.blockTimestamps.has(key)) {
+      return this.blockTimestamps.get(key);
+    }
+
+    const provider = this.getProvider(chainId);
+    const latest = await provider.getBlock('latest');
+
+    if (timestamp >= latest.timestamp) {
+      return latest.number;
+    }
+
+    let low = 0;
+    let high = latest.number;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      const block = await provider.getBlock(mid);
+      if (block.timestamp <= timestamp) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    this.blockTimestamps.set(key, low);
+    return low;
+  }
+
+  /**
+   * Apply a config's minimum holding duration to a balance check result.
+   * Walks the wallet's transfers over the last `min_hold_days` days back from the
+   * current balance; the lowest balance in that window is what was held throughout.
+   * Transfers to/from the config's staking contract don't count, so staking doesn't reset the clock.
+   */
+  async applyHoldingPeriod(walletAddress, roleConfig, result, options = {}) {
+    const holdDays = roleConfig.min_hold_days;
+
+    // Nothing held now - no history to trace
+    if (result.raw === 0n) {
+      return { ...result, currentBalance: result.balance, currentRaw: result.raw, holdDays };
+    }
+
+    const provider = this.getProvider(options.chainId);
+    const historical = readOverrides(options).blockTag !== undefined;
+
+    // The window ends at the snapshot block when checking at a historical block
+    const toBlock = historical ? Number(options.blockTag) : await provider.getBlockNumber();
+    const end = historical ? await this.getBlockTimestamp(toBlock, options) : Date.now() / 1000;
+
+    // Round the window start to the hour so the block lookup is cached between checks
+    const since = Math.floor((end - holdDays * 86400) / 3600) * 3600;
+    const fromBlock = await this.getBlockByTimestamp(since, options);
+
+    const transfers = await this.transferHistory.getTransfers({
+      chainId: Number(options.chainId || DEFAULT_CHAIN_ID),
+      tokenType: roleConfig.token_type,
+      contract: roleConfig.contract_address,
+      wallet: walletAddress,
+      // /addrole only allows holding periods on single-ID ERC1155 configs
+      tokenId: roleConfig.token_type === 'ERC1155' ? roleConfig.token_ids[0].from : null,
+      fromBlock,
+      toBlock
+    });
+
+    const staking = roleConfig.staking_contract?.toLowerCase();
+    let balance = result.raw;
+    let held = result.raw;
+
+    for (const transfer of [...transfers].reverse()) {
+      if (staking && transfer.counterparty === staking) continue;
+
+      balance -= transfer.delta;
+      if (balance < held) held = balance;
+    }
+
+    if (held < 0n) held = 0n;
+
+    return {
+      ...result,
+      hasBalance: held >= result.requiredRaw,
+      balance: ethers.formatUnits(held, result.decimals),
+      raw: held,
+      currentBalance: result.balance,
+      currentRaw: result.raw,
+      holdDays
+    };
+  }
+
+  /**
+   * Get the delegate.xyz delegations made to a wallet on a chain (cached for a few minutes).
+   * Returns [] on chains without a delegation registry.
+   * @param {object} [options] - { chainId, blockTag }
+   */
+  async getDelegations(walletAddress, options = {}) {
+    const chainId = Number(options.chainId || DEFAULT_CHAIN_ID);
+    const chain = getChain(chainId);
+    if (!chain?.delegateRegistry) return [];
+
+    const key = `${chainId}:${walletAddress.toLowerCase()}:${options.blockTag ?? 'latest'}`;
+    const cached = this.delegations.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.promise;
+    }
+
+    const promise = getIncomingDelegations(
+      this.getRunner(chainId),
+      chain.delegateRegistry,
+      walletAddress,
+      readOverrides(options)
+    ).catch(error => {
+      this.delegations.delete(key);
+
+      // RPC trouble - let the caller treat the evaluation as unknown
+      if (error.code !== 'CALL_EXCEPTION') throw error;
+
+      // No registry at this block - treat as no delegations
+      console.warn(`Could not read delegations for ${walletAddress} on chain ${chainId}: ${error.shortMessage || error.message}`);
+      return [];
+    });
+
+    this.delegations.set(key, { expires: Date.now() + DELEGATION_CACHE_TTL, promise });
+    return promise;
+  }
+
+  /**
+   * Run a name lookup through the name cache. Failed lookups are not kept.
+   */
+  cachedName(key, lookup) {
+    const cached = this.names.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.promise;
+    }
+
+    const promise = lookup().catch(error => {
+      this.names.delete(key);
+      throw error;
+    });
+
+    this.names.set(key, { expires: Date.now() + NAME_CACHE_TTL, promise });
+    return promise;
+  }
+
+  /**
+   * Resolve a .avax (Avvy Domains) or ENS name to an address (cached)
+   * @returns {Promise<string|null>} Checksummed address, or null if the name doesn't resolve
+   */
+  async resolveName(name) {
+    const normalized = name.trim().toLowerCase();
+
+    return this.cachedName(`forward:${normalized}`, async () => {
+      if (getNameService(normalized) === 'avvy') {
+        return resolveAvvyName(this.getRunner(AVVY_CHAIN_ID), normalized);
+      }
+
+      const address = await this.getProvider(ENS_CHAIN_ID).resolveName(normalized);
+      return address ? ethers.getAddress(address) : null;
+    });
+  }
+
+  /**
+   * Primary name of an address: its .avax reverse record, else its ENS one (cached).
+   * Names are only for display, so lookup errors are logged and treated as no name.
+   * @returns {Promise<string|null>}
+   */
+  async lookupName(address) {
+    return this.cachedName(`reverse:${address.toLowerCase()}`, async () => {
+      // A reverse record only counts if the name points back at the address
+      const avvyName = await lookupAvvyName(this.getRunner(AVVY_CHAIN_ID), address);
+      if (avvyName && (await this.resolveName(avvyName))?.toLowerCase() === address.toLowerCase()) {
+        return avvyName;
+      }
+
+      // ethers already checks the forward record of ENS names
+      return this.getProvider(ENS_CHAIN_ID).lookupAddress(address);
+    }).catch(error => {
+      console.warn(`Could not look up the name of ${address}: ${error.shortMessage || error.message}`);
+      return null;
+    });
+  }
+
+  /**
+   * Vaults whose holdings count for a role config because they delegated
+   * (wallet-wide, or for the config's contract) to one of the given wallets.
+   * Wallets that are already linked are not repeated.
+   * @param {object} [options] - { blockTag }
+   */
+  async getDelegatedVaults(walletAddresses, roleConfig, options = {}) {
+    const chainId = roleConfig.chain_id || DEFAULT_CHAIN_ID;
+    const linked = new Set(walletAddresses.map(address => address.toLowerCase()));
+
+    const delegations = (await Promise.all(
+      walletAddresses.map(walletAddress => this.getDelegations(walletAddress, { chainId, blockTag: options.blockTag }))
+    )).flat();
+
+    const vaults = delegations
+      .filter(delegation => delegationCovers(delegation, roleConfig))
+      .map(delegation => delegation.vault)
+      .filter(vault => !linked.has(vault));
+
+    return [...new Set(vaults)];
+  }
+
+  /**
+   * Evaluate many (wallet, role config) pairs at once.
+   * The checks run concurrently, so their balanceOf/decimals/staking reads are
+   * aggregated into Multicall3 batches. A failing check only fails its own entry.
+   * @param {Array<{ walletAddress: string, roleConfig: object, blockTag?: string|number }>} checks
+   * @returns {Promise<Array<{ walletAddress, roleConfig, result, error }>>}
+   */
+  async verifyTokenRequirementsBatch(checks) {
+    return Promise.all(checks.map(async ({ walletAddress, roleConfig, blockTag }) => {
+      try {
+        const result = await this.verifyTokenRequirements(walletAddress, roleConfig, blockTag);
+        return { walletAddress, roleConfig, result, error: null };
+      } catch (error) {
+        return { walletAddress, roleConfig, result: null, error };
+      }
+    }));
+  }
+
+  /**
+   * Evaluate one role config against a set of wallets.
+   * In the default "any" mode the config is met if ANY single wallet meets it.
+   * In "sum" mode the balances of all wallets are added together first
+   * (token amounts, ERC721 counts or ERC1155 amounts).
+   * All wallets are checked in one batch.
+   * @param {object} [options]
+   * @param {object} [options.blockTags] - Snapshot blocks keyed by chain ID (see getSnapshotBlocks); latest if omitted
+   * @param {object} [options.chainWallets] - Extra addresses keyed by chain ID that only count for
+   *   configs on that chain (e.g. linked Safes)
+   * A config whose wallets could not all be checked and that isn't met by the ones that could is
+   * 'unknown' rather than 'not_qualified' - callers must not remove (or, under NOT, grant) roles for it.
+   * This holds for deterministic errors too (reverts, a misconfigured contract): those are also
+   * returned as configError so admins can see and fix the config.
+   * @returns {Promise<{ config, status, qualified, result, error, configError, delegatedVaults }>}
+   *   status is 'qualified', 'not_qualified' or 'unknown'; qualified is status === 'qualified'
+   */
+  async evaluateRoleConfig(walletAddresses, roleConfig, options = {}) {
+    const chainId = roleConfig.chain_id || DEFAULT_CHAIN_ID;
+    const blockTag = options.blockTags?.[chainId] ?? 'latest';
+    const chainWallets = options.chainWallets?.[chainId] || [];
+
+    // A legacy ERC1155 config the migration couldn't read has nothing to check - it stays unknown
+    // (roles it decides are kept) until an admin re-adds it
+    if (roleConfig.token_type === 'ERC1155' && !roleConfig.token_ids?.length) {
+      const error = new Error(`Unreadable legacy min_balance "${roleConfig.min_balance}" - remove and re-add this config`);
+      return { config: roleConfig, status: 'unknown', qualified: false, result: null, error, configError: error, delegatedVaults: [] };
+    }
+
+    // Cold wallets that delegated to one of the user's wallets count like linked wallets
+    let delegatedVaults = [];
+    let delegationError = null;
+    try {
+      delegatedVaults = await this.getDelegatedVaults(walletAddresses, roleConfig, { blockTag });
+    } catch (error) {
+      console.error(`Error reading delegations for role config ${roleConfig._id}:`, error.message);
+      delegationError = error;
+    }
+
+    const addresses = [...new Set([...walletAddresses, ...delegatedVaults, ...chainWallets].map(address => address.toLowerCase()))];
+    const checks = await this.verifyTokenRequirementsBatch(
+      addresses.map(walletAddress => ({ walletAddress, roleConfig, blockTag }))
+    );
+
+    for (const { walletAddress, error } of checks) {
+      if (error) {
+        console.error(`Error checking wallet ${walletAddress}:`, error.message);
+      }
+    }
+
+    const errors = [...checks.map(check => check.error), delegationError].filter(Boolean);
+    const transientError = errors.find(isTransientError) || null;
+    const configError = errors.find(error => !isTransientError(error)) || null;
+    const firstError = transientError || configError;
+
+    // Balances only add up, so wallets that couldn't be checked can't undo a qualifying result -
+    // but without them a failing result may be wrong
+    const statusOf = met => met ? 'qualified' : (firstError ? 'unknown' : 'not_qualified');
+
+    if (roleConfig.evaluation_mode === 'sum') {
+      const result = this.sumWalletResults(checks.filter(check => check.result).map(check => check.result));
+      const status = statusOf(Boolean(result?.hasBalance));
+      return {
+        config: roleConfig,
+        status,
+        qualified: status === 'qualified',
+        result,
+        error: status === 'qualified' ? null : firstError,
+        configError,
+        delegatedVaults
+      };
+    }
+
+    const qualifying = checks.find(check => check.result?.hasBalance);
+    const checked = qualifying || checks.find(check => check.result);
+    const status = statusOf(Boolean(qualifying));
+
+    return {
+      config: roleConfig,
+      status,
+      qualified: status === 'qualified',
+      result: checked ? checked.result : null,
+      error: status === 'qualified' ? null : firstError,
+      configError,
+      delegatedVaults
+    };
+  }
+
+  /**
+   * Combine per-wallet check results into one result for the total balance.
+   * Returns null if there are no results to combine.
+   */
+  sumWalletResults(results) {
+    if (results.length === 0) return null;
+
+    const [first] = results;
+    const total = results.reduce((sum, result) => sum + result.raw, 0n);
+
+    const summed = {
+      ...first,
+      hasBalance: total >= first.requiredRaw,
+      balance: ethers.formatUnits(total, first.decimals),
+      raw: total,
+      walletCount: results.length
+    };
+
+    // USD results also carry the underlying token amount
+    if (first.denomination === 'USD') {
+      summed.balance = formatUsd(total);
+      summed.tokenRaw = results.reduce((sum, result) => sum + result.tokenRaw, 0n);
+      summed.tokenBalance = ethers.formatUnits(summed.tokenRaw, first.tokenDecimals);
+    }
+
+    // Token ID results list the matched tokens of every wallet
+    if (first.tokenIds) {
+      summed.tokenIds = results.flatMap(result => result.tokenIds);
+    }
+
+    // ERC1155 multi-ID results are evaluated again on the per-ID totals
+    if (first.idBalances) {
+      const idBalances = new Map();
+      for (const result of results) {
+        for (const [tokenId, balance] of result.idBalances) {
+          idBalances.set(tokenId, (idBalances.get(tokenId) || 0n) + balance);
+        }
+      }
+      Object.assign(summed, evaluateERC1155Balances(idBalances, first.idMode, first.required));
+    }
+
+    // Staking results also carry how much of the balance is staked
+    if (first.stakedRaw !== undefined) {
+      summed.stakedRaw = results.reduce((sum, result) => sum + result.stakedRaw, 0n);
+      summed.stakedBalance = ethers.formatUnits(summed.stakedRaw, first.decimals);
+    }
+
+    // LP results also carry the breakdown of the total
+    if (first.liquidityRaw !== undefined) {
+      const sum = key => results.reduce((total, result) => total + result[key], 0n);
+      summed.liquidityRaw = sum('liquidityRaw');
+      summed.liquidityBalance = ethers.formatUnits(summed.liquidityRaw, first.decimals);
+      summed.lpRaw = sum('lpRaw');
+      summed.lpBalance = ethers.formatUnits(summed.lpRaw, LP_DECIMALS);
+      summed.stakedLpRaw = sum('stakedLpRaw');
+      summed.stakedLpBalance = ethers.formatUnits(summed.stakedLpRaw, LP_DECIMALS);
+      if (first.heldRaw !== undefined) {
+        summed.heldRaw = sum('heldRaw');
+        summed.heldBalance = ethers.formatUnits(summed.heldRaw, first.decimals);
+      }
+    }
+
+    // Holding duration results also carry the current (not held-throughout) balance
+    if (first.holdDays) {
+      summed.currentRaw = results.reduce((sum, result) => sum + result.currentRaw, 0n);
+      summed.currentBalance = ethers.formatUnits(summed.currentRaw, first.decimals);
+    }
+
+    return summed;
+  }
+
+  /**
+   * Rule engine - evaluate an AND / OR / NOT rule tree (see rules.js)
+   * against the per-config results of a role.
+   * Three-valued: an unknown config only makes the rule unknown if the outcome depends on it
+   * (false AND unknown is false, true OR unknown is true, NOT unknown is unknown).
+   * @param {object} node - Rule tree node
+   * @param {Map<string, { status: string }>} configResults - Results keyed by config ID
+   * @returns {string} 'qualified', 'not_qualified' or 'unknown'
+   */
+  evaluateRule(node, configResults) {
+    switch (node.type) {
+      case 'config':
+        // A missing config (e.g. deleted) is never satisfied
+        return configResults.get(String(node.config_id))?.status || 'not_qualified';
+      case 'and':
+        return this.combineStatuses(node.children.map(child => this.evaluateRule(child, configResults)), 'and');
+      case 'or':
+        return this.combineStatuses(node.children.map(child => this.evaluateRule(child, configResults)), 'or');
+      case 'not': {
+        const status = this.evaluateRule(node.child, configResults);
+        if (status === 'unknown') return status;
+        return status === 'qualified' ? 'not_qualified' : 'qualified';
+      }
+      default:
+        throw new Error(`Unknown rule node type: ${node.type}`);
+    }
+  }
+
+  /**
+   * AND / OR over evaluation statuses
+   */
+  combineStatuses(statuses, operator) {
+    const decisive = operator === 'and' ? 'not_qualified' : 'qualified';
+    if (statuses.includes(decisive)) return decisive;
+    if (statuses.includes('unknown')) return 'unknown';
+    return operator === 'and' ? 'qualified' : 'not_qualified';
+  }
+
+  /**
+   * Evaluate whether a set of wallets qualifies for a role.
+   * If the role has a rule, the rule tree decides. Otherwise the role's configs
+   * are OR-ed together - any met config grants the role.
+   * @param {string[]} walletAddresses
+   * @param {{ roleId: string, configs: object[], rule: object|null }} roleGroup - From groupConfigsByRole()
+   * @param {object} [options] - { blockTags, chainWallets }, see evaluateRoleConfig()
+   * @returns {Promise<{ roleId, status, qualified, rule, configResults, delegatedVaults }>}
+   *   status is 'unknown' when the outcome depends on checks that failed
+   */
+  async evaluateRole(walletAddresses, roleGroup, options = {}) {
+    const { roleId, rule } = roleGroup;
+
+    // With a rule, only the configs it references take part
+    const referencedIds = rule ? getRuleConfigIds(rule) : null;
+    const configs = rule
+      ? roleGroup.configs.filter(config => referencedIds.has(String(config._id)))
+      : roleGroup.configs;
+
+    const configResults = await Promise.all(
+      configs.map(config => this.evaluateRoleConfig(walletAddresses, config, options))
+    );
+
+    const status = rule
+      ? this.evaluateRule(rule, new Map(configResults.map(result => [String(result.config._id), result])))
+      : this.combineStatuses(configResults.map(result => result.status), 'or');
+
+    const delegatedVaults = [...new Set(configResults.flatMap(result => result.delegatedVaults || []))];
+
+    return { roleId, status, qualified: status === 'qualified', rule: rule || null, configResults, delegatedVaults };
+  }
+
+  /**
+   * Evaluate several roles concurrently (their reads share Multicall3 batches)
+   */
+  async evaluateRoles(walletAddresses, roleGroups, options = {}) {
+    return Promise.all(roleGroups.map(roleGroup => this.evaluateRole(walletAddresses, roleGroup, options)));
+  }
+
+  /**
+   * Resolve a snapshot point to a block on each chain.
+   * Give either a block on one chain (its timestamp is used to find the
+   * matching block on the other chains) or a unix timestamp.
+   * @param {number[]} chainIds - Chains the evaluated configs live on
+   * @param {{ chainId?: number, block?: number, timestamp?: number }} point
+   * @returns {Promise<{ timestamp: number, blocks: object }>} blocks keyed by chain ID
+   */
+  async getSnapshotBlocks(chainIds, { chainId = DEFAULT_CHAIN_ID, block, timestamp }) {
+    const blocks = {};
+
+    if (block !== undefined && block !== null) {
+      timestamp = await this.getBlockTimestamp(block, { chainId });
+      blocks[chainId] = block;
+    }
+
+    for (const id of new Set(chainIds.map(Number))) {
+      if (blocks[id] === undefined) {
+        blocks[id] = await this.getBlockByTimestamp(timestamp, { chainId: id });
+      }
+    }
+
+    return { timestamp, blocks };
+  }
+
+  /**
+   * Verify a message signature to prove wallet ownership.
+   * EOA signatures are recovered locally. Otherwise the claimed address is treated as
+   * a contract wallet (Safe, smart accounts) and asked via EIP-1271 isValidSignature,
+   * including ERC-6492 signatures from wallets that are not deployed yet.
+   * Contract wallets live on one chain - without options.chainId every configured chain is tried.
+   * @param {object} [options] - { chainId }
+   */
+  async verifySignature(message, signature, expectedAddress, options = {}) {
+    const is6492 = typeof signature === 'string' && signature.toLowerCase().endsWith(ERC6492_MAGIC_SUFFIX.slice(2));
+
+    if (!is6492) {
+      try {
+        const recoveredAddress = ethers.verifyMessage(message, signature);
+        if (recoveredAddress.toLowerCase() === expectedAddress.toLowerCase()) {
+          return true;
+        }
+      } catch (error) {
+        // Not a plain ECDSA signature - may still be valid for a contract wallet
+      }
+    }
+
+    const hash = ethers.hashMessage(message);
+    const chainIds = options.chainId
+      ? [Number(options.chainId)]
+      : [DEFAULT_CHAIN_ID, ...getChains().map(chain => chain.id).filter(id => id !== DEFAULT_CHAIN_ID)];
+
+    for (const chainId of chainIds) {
+      try {
+        const valid = is6492
+          ? await this.verifyERC6492Signature(hash, signature, expectedAddress, chainId)
+          : await this.verifyERC1271Signature(hash, signature, expectedAddress, chainId);
+
+        if (valid) {
+          console.log(`Contract wallet signature for ${expectedAddress} valid on chain ${chainId}`);
+          return true;
+        }
+      } catch (error) {
+        console.error(`Error verifying contract wallet signature on chain ${chainId}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Read a Safe's owners and signing threshold
+   * @returns {Promise<{ owners: string[], threshold: number }>} owners lowercased
+   */
+  async getSafeInfo(safeAddress, options = {}) {
+    // Ownership decides whose roles a Safe counts for, so it needs a quorum
+    const safe = new ethers.Contract(safeAddress, SAFE_ABI, this.getQuorumProvider(options.chainId));
+
+    try {
+      const [owners, threshold] = await Promise.all([
+        safe.getOwners(),
+        safe.getThreshold()
+      ]);
+
+      return {
+        owners: owners.map(owner => owner.toLowerCase()),
+        threshold: Number(threshold)
+      };
+    } catch (error) {
+      console.error(`Error reading Safe ${safeAddress}: ${error.shortMessage || error.message}`);
+      throw new Error('Not a Safe on this chain (getOwners/getThreshold failed)');
+    }
+  }
+
+  /**
+   * EIP-1271: ask a deployed contract wallet whether it accepts the signature
+   */
+  async verifyERC1271Signature(hash, signature, walletAddress, chainId) {
+    const provider = this.getQuorumProvider(chainId);
+
+    const code = await provider.getCode(walletAddress);
+    if (code === '0x') return false;
+
+    const wallet = new ethers.Contract(walletAddress, ERC1271_ABI, provider);
+    const magicValue = await wallet.isValidSignature(hash, signature).catch(() => null);
+    return magicValue === ERC1271_MAGIC_VALUE;
+  }
+
+  /**
+   * ERC-6492: the wallet may not be deployed yet. A deployed wallet is asked via plain
+   * EIP-1271 with the unwrapped signature. Otherwise Multicall3 runs the factory call
+   * and then isValidSignature in the same eth_call, so the check sees the deployed
+   * wallet without anything being sent on-chain.
+   */
+  async verifyERC6492Signature(hash, signature, walletAddress, chainId) {
+    const wrapped = ethers.dataSlice(signature, 0, ethers.dataLength(signature) - 32);
+    const [factory, factoryCalldata, innerSignature] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ['address', 'bytes', 'bytes'],
+      wrapped
+    );
+
+    const provider = this.getQuorumProvider(chainId);
+    const code = await provider.getCode(walletAddress);
+    if (code !== '0x') {
+      return this.verifyERC1271Signature(hash, innerSignature, walletAddress, chainId);
+    }
+
+    const chain = getChain(chainId);
+    if (!chain?.multicall3) return false;
+
+    const erc1271 = new ethers.Interface(ERC1271_ABI);
+    const multicall = new ethers.Interface(MULTICALL3_ABI);
+    const data = multicall.encodeFunctionData('aggregate3', [[
+      [factory, true, factoryCalldata],
+      [walletAddress, true, erc1271.encodeFunctionData('isValidSignature', [hash, innerSignature])]
+    ]]);
+
+    const raw = await provider.call({ to: chain.multicall3, data });
+    const [[, check]] = multicall.decodeFunctionResult('aggregate3', raw);
+
+    if (!check.success || ethers.dataLength(check.returnData) < 4) return false;
+    return ethers.dataSlice(check.returnData, 0, 4) === ERC1271_MAGIC_VALUE;
+  }
+}
+
+let sharedService = null;
+
+/**
+ * The process-wide service - handlers, the web API, the Blaze API and the verifier all use it,
+ * so they share one set of providers, Multicall3 batches and caches
+ */
+BlockchainService.shared = function shared() {
+  if (!sharedService) {
+    sharedService = new BlockchainService(process.env.AVALANCHE_RPC_URL);
+  }
+  return sharedService;
+};
 
 module.exports = BlockchainService;
@@ -0,0 +1,180 @@
+/**
+ * Chain registry - maps chain IDs to RPC endpoints, native coin and explorer.
+ *
+ * RPC URLs can be overridden per chain with RPC_URL_<chainId> (comma separated),
+ * and extra chains (e.g. our own Avalanche L1) can be added with CUSTOM_CHAINS,
+ * a JSON array of { id, key, name, rpcUrls, nativeSymbol, explorer, multicall3, delegateRegistry }.
+ */
+const { MULTICALL3_ADDRESS } = require('./multicall');
+const { DELEGATE_REGISTRY_V2_ADDRESS } = require('./delegation');
+
+const DEFAULT_CHAIN_ID = 43114;
+
+const BUILTIN_CHAINS = [
+  {
+    id: 43114,
+    key: 'avalanche',
+    name: 'Avalanche C-Chain',
+    rpcUrls: ['https://api.avax.network/ext/bc/C/rpc'],
+    nativeSymbol: 'AVAX',
+    explorer: 'https://snowtrace.io',
+    multicall3: MULTICALL3_ADDRESS,
+    delegateRegistry: DELEGATE_REGISTRY_V2_ADDRESS
+  },
+  {
+    id: 43113,
+    key: 'fuji',
+    name: 'Avalanche Fuji Testnet',
+    rpcUrls: ['https://api.avax-test.network/ext/bc/C/rpc'],
+    nativeSymbol: 'AVAX',
+    explorer: 'https://testnet.snowtrace.io',
+    multicall3: MULTICALL3_ADDRESS,
+    delegateRegistry: DELEGATE_REGISTRY_V2_ADDRESS
+  },
+  {
+    id: 1,
+    key: 'ethereum',
+    name: 'Ethereum',
+    rpcUrls: ['https://ethereum-rpc.publicnode.com'],
+    nativeSymbol: 'ETH',
+    explorer: 'https://etherscan.io',
+    multicall3: MULTICALL3_ADDRESS,
+    delegateRegistry: DELEGATE_REGISTRY_V2_ADDRESS
+  },
+  {
+    id: 42161,
+    key: 'arbitrum',
+    name: 'Arbitrum One',
+    rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+    nativeSymbol: 'ETH',
+    explorer: 'https://arbiscan.io',
+    multicall3: MULTICALL3_ADDRESS,
+    delegateRegistry: DELEGATE_REGISTRY_V2_ADDRESS
+  }
+];
+
+let chains = null;
+
+/**
+ * Parse a comma separated list of RPC URLs
+ */
+function parseRpcUrls(value) {
+  return (value || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load custom chains from the CUSTOM_CHAINS environment variable
+ */
+function loadCustomChains() {
+  if (!process.env.CUSTOM_CHAINS) return [];
+
+  try {
+    const custom = JSON.parse(process.env.CUSTOM_CHAINS);
+    if (!Array.isArray(custom)) {
+      throw new Error('CUSTOM_CHAINS must be a JSON array');
+    }
+
+    return custom.map(chain => ({
+      id: Number(chain.id),
+      key: (chain.key || String(chain.id)).toLowerCase(),
+      name: chain.name || `Chain ${chain.id}`,
+      rpcUrls: Array.isArray(chain.rpcUrls) ? chain.rpcUrls : parseRpcUrls(chain.rpcUrls),
+      nativeSymbol: chain.nativeSymbol || 'ETH',
+      explorer: chain.explorer || null,
+      // Only batch through Multicall3 where it is known to be deployed
+      multicall3: chain.multicall3 || null,
+      delegateRegistry: chain.delegateRegistry || null
+    }));
+  } catch (error) {
+    console.error(`Invalid CUSTOM_CHAINS configuration: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Build the registry (lazily, so dotenv has been loaded by the time we read env vars)
+ */
+function loadChains() {
+  if (chains) return chains;
+
+  chains = new Map();
+
+  for (const chain of [...BUILTIN_CHAINS, ...loadCustomChains()]) {
+    chains.set(chain.id, { ...chain });
+  }
+
+  // AVALANCHE_RPC_URL has always configured the C-Chain endpoint
+  const avalanche = chains.get(DEFAULT_CHAIN_ID);
+  if (process.env.AVALANCHE_RPC_URL) {
+    avalanche.rpcUrls = parseRpcUrls(process.env.AVALANCHE_RPC_URL);
+  }
+
+  // Per-chain overrides: RPC_URL_<chainId>
+  for (const chain of chains.values()) {
+    const override = process.env[`RPC_URL_${chain.id}`];
+    if (override) {
+      chain.rpcUrls = parseRpcUrls(override);
+    }
+  }
+
+  // DELEGATION_ENABLED=false turns off delegate.xyz vault lookups everywhere
+  if (process.env.DELEGATION_ENABLED === 'false') {
+    for (const chain of chains.values()) {
+      chain.delegateRegistry = null;
+    }
+  }
+
+  return chains;
+}
+
+/**
+ * Get a chain by ID. Returns null if the chain is not configured.
+ */
+function getChain(chainId = DEFAULT_CHAIN_ID) {
+  return loadChains().get(Number(chainId)) || null;
+}
+
+/**
+ * Get all configured chains
+ */
+function getChains() {
+  return [...loadChains().values()];
+}
+
+/**
+ * Resolve user input (chain key like "fuji" or a numeric chain ID) to a chain.
+ * Returns null if no matching chain is configured.
+ */
+function resolveChain(input) {
+  if (input === undefined || input === null || input === '') {
+    return getChain(DEFAULT_CHAIN_ID);
+  }
+
+  const value = String(input).trim().toLowerCase();
+
+  if (/^\d+$/.test(value)) {
+    return getChain(Number(value));
+  }
+
+  return getChains().find(chain => chain.key === value) || null;
+}
+
+/**
+ * Short display label for a chain, e.g. "Avalanche C-Chain (43114)"
+ */
+function formatChain(chainId) {
+  const chain = getChain(chainId || DEFAULT_CHAIN_ID);
+  return chain ? `${chain.name} (${chain.id})` : `Unknown chain (${chainId})`;
+}
+
+module.exports = {
+  DEFAULT_CHAIN_ID,
+  parseRpcUrls,
+  getChain,
+  getChains,
+  resolveChain,
+  formatChain
+};
@@ -7,7 +7,7 @@ const verifyCommand = new SlashCommandBuilder()
   .addStringOption(option =>
     option
       .setName('wallet')
-      .setDescription('Your Avalanche C-Chain wallet address (0x...)')
+      .setDescription('Your wallet address (0x...), .avax name or ENS name')
       .setRequired(true)
   )
   .addStringOption(option =>
@@ -15,6 +15,12 @@ const verifyCommand = new SlashCommandBuilder()
       .setName('signature')
       .setDescription('Signature from signing the verification message')
       .setRequired(true)
+  )
+  .addStringOption(option =>
+    option
+      .setName('chain')
+      .setDescription('Chain your smart contract wallet (Safe, smart account) is deployed on')
+      .setRequired(false)
   );
 
 // User command: Check status
@@ -39,10 +45,43 @@ const removeWalletCommand = new SlashCommandBuilder()
   .addStringOption(option =>
     option
       .setName('wallet')
-      .setDescription('Wallet address to remove (0x...)')
+      .setDescription('Wallet to remove - address (0x...), .avax name or ENS name')
+      .setRequired(true)
+  );
+
+// User command: Link a Safe you co-own
+const linkSafeCommand = new SlashCommandBuilder()
+  .setName('linksafe')
+  .setDescription('Link a Safe you are an owner of, so its holdings count towards your roles')
+  .addStringOption(option =>
+    option
+      .setName('safe')
+      .setDescription('Safe address (0x...) - one of its owners must be a wallet you linked')
+      .setRequired(true)
+  )
+  .addStringOption(option =>
+    option
+      .setName('chain')
+      .setDescription('Chain the Safe is on (default: avalanche)')
+      .setRequired(false)
+  );
+
+// User command: Unlink a Safe
+const unlinkSafeCommand = new SlashCommandBuilder()
+  .setName('unlinksafe')
+  .setDescription('Unlink a Safe from your account')
+  .addStringOption(option =>
+    option
+      .setName('safe')
+      .setDescription('Safe address to unlink (0x...)')
       .setRequired(true)
   );
 
+// User command: Re-check roles with fresh balances
+const refreshCommand = new SlashCommandBuilder()
+  .setName('refresh')
+  .setDescription('Re-check your roles now with fresh balances (e.g. right after buying tokens)');
+
 // Admin command: Add role requirement
 const addRoleCommand = new SlashCommandBuilder()
   .setName('addrole')
@@ -53,12 +92,6 @@ const addRoleCommand = new SlashCommandBuilder()
       .setDescription('The Discord role to assign')
       .setRequired(true)
   )
-  .addStringOption(option =>
-    option
-      .setName('contract')
-      .setDescription('Token contract address on Avalanche C-Chain')
-      .setRequired(true)
-  )
   .addStringOption(option =>
     option
       .setName('type')
@@ -67,19 +100,169 @@ const addRoleCommand = new SlashCommandBuilder()
       .addChoices(
         { name: 'ERC20 (Fungible Token)', value: 'ERC20' },
         { name: 'ERC721 (NFT)', value: 'ERC721' },
-        { name: 'ERC1155 (Multi-Token)', value: 'ERC1155' }
+        { name: 'ERC1155 (Multi-Token)', value: 'ERC1155' },
+        { name: 'Native coin (AVAX or the chain\'s native coin)', value: 'NATIVE' },
+        { name: 'Custom view function call', value: 'CUSTOM_CALL' },
+        { name: 'Liquidity in a Uniswap V2 / Trader Joe pair', value: 'LP' }
       )
   )
   .addStringOption(option =>
     option
       .setName('minbalance')
-      .setDescription('Minimum balance required (for ERC1155 use format: tokenId:amount)')
+      .setDescription('Minimum balance required (ERC1155: amount per the idmode, CUSTOM_CALL: value to compare with)')
       .setRequired(true)
   )
+  .addStringOption(option =>
+    option
+      .setName('contract')
+      .setDescription('Token contract address (LP: the pair address, not needed for NATIVE)')
+      .setRequired(false)
+  )
   .addStringOption(option =>
     option
       .setName('staking')
-      .setDescription('Staking contract address (optional, if tokens are staked)')
+      .setDescription('Staking contract or NFT vault address (optional, staked tokens count too)')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('chain')
+      .setDescription('Chain name or ID, e.g. avalanche, fuji, ethereum, arbitrum (default: avalanche)')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('mode')
+      .setDescription('How a user\'s linked wallets are evaluated (default: any single wallet)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Any single wallet meets the minimum', value: 'any' },
+        { name: 'Sum across all linked wallets', value: 'sum' }
+      )
+  )
+  .addStringOption(option =>
+    option
+      .setName('stakingadapter')
+      .setDescription('How to read the staked balance (required for ERC20/LP staking, NFTs default to vault adapters)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'userInfo(address) struct field', value: 'userinfo' },
+        { name: 'MasterChef userInfo(pid, user)', value: 'masterchef' },
+        { name: 'Single call with custom function', value: 'single' },
+        { name: 'ERC4626 vault (shares → assets)', value: 'erc4626' },
+        { name: 'NFT vault balanceOf(address) count (default for ERC721)', value: 'vaultbalance' },
+        { name: 'NFT vault depositsOf(address) token IDs', value: 'depositsof' },
+        { name: 'NFT vault stakedTokens(address) token IDs', value: 'stakedtokens' },
+        { name: 'NFT vault custom token ID list function', value: 'idlist' },
+        { name: 'ERC1155 vault per token ID (default for ERC1155)', value: 'perid' }
+      )
+  )
+  .addStringOption(option =>
+    option
+      .setName('stakingparams')
+      .setDescription('Adapter params, e.g. pid=3 or function=stakedOf(address);index=0')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('denomination')
+      .setDescription('Whether min balance is a token amount or a USD value (ERC20 only, default token)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Token amount', value: 'TOKEN' },
+        { name: 'USD value', value: 'USD' }
+      )
+  )
+  .addStringOption(option =>
+    option
+      .setName('pricesource')
+      .setDescription('Where the USD price comes from (default chainlink)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Chainlink price feed', value: 'chainlink' },
+        { name: 'DEX pair with a USD stablecoin', value: 'dexpair' }
+      )
+  )
+  .addStringOption(option =>
+    option
+      .setName('pricefeed')
+      .setDescription('Price feed (AggregatorV3) or token/stablecoin pair address for USD denomination')
+      .setRequired(false)
+  )
+  .addIntegerOption(option =>
+    option
+      .setName('holddays')
+      .setDescription('Min balance must have been held for at least this many days')
+      .setRequired(false)
+      .setMinValue(1)
+      .setMaxValue(365)
+  )
+  .addStringOption(option =>
+    option
+      .setName('function')
+      .setDescription('CUSTOM_CALL view function, e.g. getLevel(address) view returns (uint256)')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('args')
+      .setDescription('CUSTOM_CALL arguments, {wallet} is the member\'s wallet, e.g. 3, {wallet}')
+      .setRequired(false)
+  )
+  .addIntegerOption(option =>
+    option
+      .setName('returnindex')
+      .setDescription('CUSTOM_CALL return value to compare (default: 0, the first)')
+      .setRequired(false)
+      .setMinValue(0)
+  )
+  .addStringOption(option =>
+    option
+      .setName('comparator')
+      .setDescription('CUSTOM_CALL comparison (default: at least for numbers, equals otherwise)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'At least (≥)', value: 'gte' },
+        { name: 'More than (>)', value: 'gt' },
+        { name: 'At most (≤)', value: 'lte' },
+        { name: 'Less than (<)', value: 'lt' },
+        { name: 'Equals (=)', value: 'eq' },
+        { name: 'Not equal (≠)', value: 'neq' }
+      )
+  )
+  .addStringOption(option =>
+    option
+      .setName('tokenids')
+      .setDescription('ERC721: only count these token IDs; ERC1155: the IDs to check. e.g. 1-50 or 1-50,77,100-120')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('idmode')
+      .setDescription('ERC1155: how the balances of the token IDs are compared with minbalance (default: any)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Any one ID held at minbalance', value: 'any' },
+        { name: 'Every ID held at minbalance', value: 'all' },
+        { name: 'Sum across all IDs at least minbalance', value: 'sum' }
+      )
+  )
+  .addStringOption(option =>
+    option
+      .setName('traits')
+      .setDescription('ERC721/ERC1155: only count tokens with these traits, e.g. Background=Gold|Silver; Level>=5')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('lptoken')
+      .setDescription('LP: the pair token to count, e.g. your token\'s address - minbalance is an amount of it')
+      .setRequired(false)
+  )
+  .addBooleanOption(option =>
+    option
+      .setName('lpwallet')
+      .setDescription('LP: also count the token held directly in the wallet (default: liquidity only)')
       .setRequired(false)
   )
   .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
@@ -102,6 +285,88 @@ const removeRoleCommand = new SlashCommandBuilder()
   )
   .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
 
+// Admin command: Set a composite rule for a role
+const setRuleCommand = new SlashCommandBuilder()
+  .setName('setrule')
+  .setDescription('Combine a role\'s token requirements with AND / OR / NOT (Admin only)')
+  .addRoleOption(option =>
+    option
+      .setName('role')
+      .setDescription('The Discord role the rule applies to')
+      .setRequired(true)
+  )
+  .addStringOption(option =>
+    option
+      .setName('expression')
+      .setDescription('Config IDs from /listroles, e.g. (a1b2c3 OR d4e5f6) AND NOT 0718aa')
+      .setRequired(true)
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
+// Admin command: Show a role's rule
+const showRuleCommand = new SlashCommandBuilder()
+  .setName('showrule')
+  .setDescription('Show the rule tree for a token-gated role (Admin only)')
+  .addRoleOption(option =>
+    option
+      .setName('role')
+      .setDescription('The Discord role')
+      .setRequired(true)
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
+// Admin command: Remove a role's rule
+const clearRuleCommand = new SlashCommandBuilder()
+  .setName('clearrule')
+  .setDescription('Remove a role\'s rule so any of its requirements grants it (Admin only)')
+  .addRoleOption(option =>
+    option
+      .setName('role')
+      .setDescription('The Discord role')
+      .setRequired(true)
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
+// Admin command: Create or update a tier group
+const setTiersCommand = new SlashCommandBuilder()
+  .setName('settiers')
+  .setDescription('Order roles into tiers, e.g. Bronze < Silver < Gold (Admin only)')
+  .addStringOption(option =>
+    option
+      .setName('name')
+      .setDescription('Name of the tier group, e.g. Holders')
+      .setRequired(true)
+  )
+  .addStringOption(option =>
+    option
+      .setName('roles')
+      .setDescription('The tier roles, lowest first, e.g. @Bronze @Silver @Gold')
+      .setRequired(true)
+  )
+  .addStringOption(option =>
+    option
+      .setName('mode')
+      .setDescription('Which tiers a member holds (default: highest only)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Only the highest qualifying tier', value: 'highest' },
+        { name: 'Every qualifying tier', value: 'all' }
+      )
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
+// Admin command: Remove a tier group
+const clearTiersCommand = new SlashCommandBuilder()
+  .setName('cleartiers')
+  .setDescription('Remove a tier group so its roles are granted independently again (Admin only)')
+  .addStringOption(option =>
+    option
+      .setName('name')
+      .setDescription('Name of the tier group')
+      .setRequired(true)
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
 // Admin command: Force re-verification
 const reverifyCommand = new SlashCommandBuilder()
   .setName('reverify')
@@ -114,6 +379,43 @@ const reverifyCommand = new SlashCommandBuilder()
   )
   .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
 
+// Admin command: Evaluate role requirements at a historical block or time
+const snapshotCommand = new SlashCommandBuilder()
+  .setName('snapshot')
+  .setDescription('Check all linked users against role requirements at a past block or time (Admin only)')
+  .addIntegerOption(option =>
+    option
+      .setName('block')
+      .setDescription('Block number to snapshot at')
+      .setRequired(false)
+      .setMinValue(0)
+  )
+  .addStringOption(option =>
+    option
+      .setName('timestamp')
+      .setDescription('Time to snapshot at: unix seconds or a date like 2024-06-01T00:00:00Z')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('chain')
+      .setDescription('Chain the block number is on (default: avalanche)')
+      .setRequired(false)
+  )
+  .addRoleOption(option =>
+    option
+      .setName('role')
+      .setDescription('Only snapshot this role (default: all token-gated roles)')
+      .setRequired(false)
+  )
+  .addBooleanOption(option =>
+    option
+      .setName('grant')
+      .setDescription('Give the role to everyone who qualified at the snapshot (default: export only)')
+      .setRequired(false)
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
+
 // User command: Update Blaze username
 const blazeUsernameCommand = new SlashCommandBuilder()
   .setName('blazeuser')
@@ -130,10 +432,19 @@ module.exports = [
   statusCommand,
   walletsCommand,
   removeWalletCommand,
+  linkSafeCommand,
+  unlinkSafeCommand,
+  refreshCommand,
   verifyCommand, // Keep for manual verification (advanced users)
   blazeUsernameCommand,
   addRoleCommand,
   listRolesCommand,
   removeRoleCommand,
-  reverifyCommand
+  setRuleCommand,
+  showRuleCommand,
+  clearRuleCommand,
+  setTiersCommand,
+  clearTiersCommand,
+  reverifyCommand,
+  snapshotCommand
 ];
@@ -0,0 +1,213 @@
+const { ethers } = require('ethers');
+
+/**
+ * CUSTOM_CALL requirements - call any view function and compare one of its return values,
+ * e.g. isWhitelisted(address) == true, getLevel(address) >= 5, or the points field of
+ * userInfo(uint256,address) >= 1000.
+ *
+ * Stored on the role config as custom_call:
+ *   function     - Full function signature including outputs, e.g. "function getLevel(address) view returns (uint256)"
+ *   args         - Argument template; "{wallet}" is replaced by the wallet being checked
+ *   return_index - Which return value to compare
+ *   comparator   - One of COMPARATORS, against the config's min_balance
+ */
+
+const WALLET_PLACEHOLDER = '{wallet}';
+
+const COMPARATORS = {
+  gte: { symbol: '≥', numeric: true, test: (a, b) => a >= b },
+  gt: { symbol: '>', numeric: true, test: (a, b) => a > b },
+  lte: { symbol: '≤', numeric: true, test: (a, b) => a <= b },
+  lt: { symbol: '<', numeric: true, test: (a, b) => a < b },
+  eq: { symbol: '=', numeric: false, test: (a, b) => a === b },
+  neq: { symbol: '≠', numeric: false, test: (a, b) => a !== b }
+};
+
+/**
+ * Whether an ABI type decodes to a bigint
+ */
+function isNumericType(type) {
+  return /^u?int\d*$/.test(type);
+}
+
+/**
+ * Parse a template argument or comparison value for an ABI type
+ */
+function parseValue(input, type, name) {
+  const value = String(input).trim();
+
+  if (isNumericType(type)) {
+    if (!/^-?\d+$/.test(value)) {
+      throw new Error(`${name} must be an integer for ${type}`);
+    }
+    return BigInt(value);
+  }
+
+  switch (type) {
+    case 'bool':
+      if (value !== 'true' && value !== 'false') {
+        throw new Error(`${name} must be true or false`);
+      }
+      return value === 'true';
+    case 'address':
+      if (!ethers.isAddress(value)) {
+        throw new Error(`${name} must be an address`);
+      }
+      return value.toLowerCase();
+    case 'string':
+      return value;
+    default:
+      if (/^bytes\d*$/.test(type)) {
+        if (!ethers.isHexString(value)) {
+          throw new Error(`${name} must be a 0x hex value for ${type}`);
+        }
+        return value.toLowerCase();
+      }
+      throw new Error(`${type} is not supported`);
+  }
+}
+
+/**
+ * Normalize a decoded return value so it compares with parseValue() output
+ */
+function normalizeResult(value, type) {
+  if (type === 'address' || /^bytes\d*$/.test(type)) {
+    return String(value).toLowerCase();
+  }
+  return value;
+}
+
+/**
+ * Split an argument template like "{wallet}, 3" (no arrays or tuples)
+ */
+function splitArgs(input) {
+  if (!input || !input.trim()) return [];
+  return input.split(',').map(arg => arg.trim());
+}
+
+/**
+ * Validate /addrole input and build the custom_call stored on the config.
+ * Throws with an explanation for the admin if anything doesn't fit.
+ * @param {{ signature: string, args?: string, returnIndex?: number, comparator?: string, expected: string }} input
+ */
+function parseCustomCall({ signature, args, returnIndex, comparator, expected }) {
+  if (!signature) {
+    throw new Error('CUSTOM_CALL requires a function signature, e.g. `getLevel(address) view returns (uint256)`');
+  }
+
+  let fragment;
+  try {
+    fragment = ethers.FunctionFragment.from(signature.trim());
+  } catch (error) {
+    throw new Error(`Invalid function signature "${signature}"`);
+  }
+
+  if (fragment.outputs.length === 0) {
+    throw new Error('The function signature needs its return types, e.g. `... returns (uint256)`');
+  }
+
+  for (const input of fragment.inputs) {
+    if (input.baseType === 'array' || input.baseType === 'tuple') {
+      throw new Error('Array and struct arguments are not supported');
+    }
+  }
+
+  // A single address argument defaults to the wallet
+  const template = args
+    ? splitArgs(args)
+    : fragment.inputs.length === 1 && fragment.inputs[0].type === 'address' ? [WALLET_PLACEHOLDER] : [];
+
+  if (template.length !== fragment.inputs.length) {
+    throw new Error(`${fragment.name}() takes ${fragment.inputs.length} argument(s), got ${template.length}`);
+  }
+
+  if (!template.includes(WALLET_PLACEHOLDER)) {
+    throw new Error(`One argument must be ${WALLET_PLACEHOLDER} so the call depends on the member's wallet`);
+  }
+
+  template.forEach((arg, i) => {
+    const type = fragment.inputs[i].type;
+    if (arg === WALLET_PLACEHOLDER) {
+      if (type !== 'address') {
+        throw new Error(`${WALLET_PLACEHOLDER} can only be used for an address argument (argument ${i + 1} is ${type})`);
+      }
+    } else {
+      parseValue(arg, type, `Argument ${i + 1}`);
+    }
+  });
+
+  const index = returnIndex ?? 0;
+  if (index < 0 || index >= fragment.outputs.length) {
+    throw new Error(`Return index ${index} is out of range - ${fragment.name}() returns ${fragment.outputs.length} value(s)`);
+  }
+
+  const outputType = fragment.outputs[index].type;
+  const defaultComparator = isNumericType(outputType) ? 'gte' : 'eq';
+  const comparatorKey = comparator || defaultComparator;
+
+  if (!COMPARATORS[comparatorKey]) {
+    throw new Error(`Unknown comparator "${comparator}"`);
+  }
+  if (COMPARATORS[comparatorKey].numeric && !isNumericType(outputType)) {
+    throw new Error(`${COMPARATORS[comparatorKey].symbol} only works for numbers - return value ${index} is ${outputType}, use eq or neq`);
+  }
+
+  // Throws if the comparison value doesn't fit the return type
+  parseValue(expected, outputType, 'The comparison value (minbalance)');
+
+  return {
+    function: fragment.format('full'),
+    args: template,
+    return_index: index,
+    comparator: comparatorKey
+  };
+}
+
+/**
+ * Encode the call for a wallet
+ */
+function encodeCustomCall(customCall, walletAddress) {
+  const iface = new ethers.Interface([customCall.function]);
+  const fragment = iface.fragments[0];
+
+  const args = customCall.args.map((arg, i) =>
+    arg === WALLET_PLACEHOLDER ? walletAddress : parseValue(arg, fragment.inputs[i].type, `Argument ${i + 1}`)
+  );
+
+  return { iface, fragment, data: iface.encodeFunctionData(fragment, args) };
+}
+
+/**
+ * Decode the return data and compare the selected value against the expected value
+ * @returns {{ value: any, passed: boolean, type: string }}
+ */
+function evaluateCustomCall(customCall, iface, fragment, returnData, expected) {
+  const decoded = iface.decodeFunctionResult(fragment, returnData);
+  const type = fragment.outputs[customCall.return_index].type;
+  const value = normalizeResult(decoded[customCall.return_index], type);
+
+  return {
+    value,
+    type,
+    passed: COMPARATORS[customCall.comparator].test(value, parseValue(expected, type, 'Comparison value'))
+  };
+}
+
+/**
+ * Describe a custom call for display, e.g. "getLevel({wallet})[0] ≥ 5"
+ */
+function describeCustomCall(customCall, expected) {
+  const name = customCall.function.match(/^function\s+([^(]+)/)?.[1] || 'call';
+  const index = customCall.return_index ? `[${customCall.return_index}]` : '';
+  return `${name}(${customCall.args.join(', ')})${index} ${COMPARATORS[customCall.comparator].symbol} ${expected}`;
+}
+
+module.exports = {
+  WALLET_PLACEHOLDER,
+  COMPARATORS,
+  isNumericType,
+  parseCustomCall,
+  encodeCustomCall,
+  evaluateCustomCall,
+  describeCustomCall
+};
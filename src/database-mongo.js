@@ -1,11 +1,17 @@
 const mongoose = require('mongoose');
+const { ERC1155_ID_MODES, parseLegacyERC1155Balance } = require('./token-ids');
+const { getDefaultStakingAdapter, getStakingAdapter } = require('./staking-adapters');
 
 // MongoDB Schemas
 const userSchema = new mongoose.Schema({
   discord_id: { type: String, required: true, unique: true, index: true },
   username: { type: String },
   created_at: { type: Number, required: true },
-  last_checked: { type: Number }
+  last_checked: { type: Number },
+  // Set when a check could not be completed (RPC errors) - the verifier retries the user after this time
+  recheck_at: { type: Number, index: true },
+  // Checks in a row that could not be completed - rechecks stop after RECHECK_MAX_ATTEMPTS
+  recheck_attempts: { type: Number }
 });
 
 const walletSchema = new mongoose.Schema({
@@ -22,22 +28,126 @@ const roleConfigSchema = new mongoose.Schema({
   guild_id: { type: String, required: true, index: true },
   role_id: { type: String, required: true },
   contract_address: { type: String, required: true },
-  token_type: { type: String, required: true, enum: ['ERC20', 'ERC721', 'ERC1155'] },
+  token_type: { type: String, required: true, enum: ['ERC20', 'ERC721', 'ERC1155', 'NATIVE', 'CUSTOM_CALL', 'LP'] },
   min_balance: { type: String, required: true },
   chain_id: { type: Number, default: 43114 },
   staking_contract: { type: String },
+  // How the staked balance is read (see staking-adapters.js); unset means legacy auto-detect
+  staking_adapter: { type: String },
+  staking_params: { type: mongoose.Schema.Types.Mixed },
+  // 'any' - a single wallet must meet min_balance, 'sum' - balances of all linked wallets are added up
+  evaluation_mode: { type: String, enum: ['any', 'sum'], default: 'any' },
+  // USD: min_balance is a USD value, converted with price_feed (chainlink aggregator or dexpair)
+  denomination: { type: String, enum: ['TOKEN', 'USD'], default: 'TOKEN' },
+  price_source: { type: String, enum: ['chainlink', 'dexpair'] },
+  price_feed: { type: String },
+  // Balance must have been held continuously for this many days (from Transfer logs)
+  min_hold_days: { type: Number },
+  // ERC721: only these token IDs count; ERC1155: the IDs checked. Inclusive ranges of decimal strings - see token-ids.js
+  token_ids: { type: [{ _id: false, from: String, to: String }], default: undefined },
+  // ERC1155: how the IDs' balances are compared with min_balance (any, all or sum)
+  token_id_mode: { type: String, enum: ERC1155_ID_MODES },
+  // ERC721/ERC1155: only tokens whose metadata matches these conditions count - see nft-metadata.js
+  traits: { type: [{ _id: false, trait: String, operator: String, values: [String] }], default: undefined },
+  // LP: contract_address is a V2 pair; its LP tokens count as the amount of lp_token they hold,
+  // plus lp_token held in the wallet itself when lp_include_wallet is set
+  lp_token: { type: String },
+  lp_include_wallet: { type: Boolean },
+  // CUSTOM_CALL: { function, args, return_index, comparator } - see custom-call.js
+  custom_call: { type: mongoose.Schema.Types.Mixed },
+  // Read from the contract by /addrole, so checks don't need decimals() and amounts can show the symbol
+  token_metadata: {
+    name: { type: String },
+    symbol: { type: String },
+    decimals: { type: Number }
+  },
+  // Last deterministic check failure (a revert, a misconfigured contract) - shown to admins in /listroles
+  check_error: { type: String },
+  check_error_at: { type: Number },
   created_at: { type: Number, required: true }
 });
 
+// Composite rule for a role - an AND / OR / NOT tree over the role's configs (see rules.js)
+const roleRuleSchema = new mongoose.Schema({
+  guild_id: { type: String, required: true, index: true },
+  role_id: { type: String, required: true },
+  rule: { type: mongoose.Schema.Types.Mixed, required: true },
+  expression: { type: String, required: true },
+  created_at: { type: Number, required: true },
+  updated_at: { type: Number, required: true }
+});
+
+// One rule per role
+roleRuleSchema.index({ guild_id: 1, role_id: 1 }, { unique: true });
+
+// Tier group - roles ordered lowest first (see tiers.js)
+const tierGroupSchema = new mongoose.Schema({
+  guild_id: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  role_ids: { type: [String], required: true },
+  // highest - only the highest qualifying tier is held; all - every qualifying tier is held
+  mode: { type: String, required: true, enum: ['highest', 'all'], default: 'highest' },
+  created_at: { type: Number, required: true },
+  updated_at: { type: Number, required: true }
+});
+
+tierGroupSchema.index({ guild_id: 1, name: 1 }, { unique: true });
+
 const verificationHistorySchema = new mongoose.Schema({
   discord_id: { type: String, required: true, index: true },
   guild_id: { type: String, required: true },
   role_id: { type: String, required: true },
-  action: { type: String, required: true, enum: ['added', 'removed'] },
+  // unknown - the role could not be checked (e.g. RPC outage), so it was left as it was
+  action: { type: String, required: true, enum: ['added', 'removed', 'unknown'] },
   reason: { type: String },
   timestamp: { type: Number, required: true, index: true }
 });
 
+// Safe linked by one of its owners - counts towards that user's roles on its chain
+const linkedSafeSchema = new mongoose.Schema({
+  discord_id: { type: String, required: true, index: true },
+  safe_address: { type: String, required: true },
+  chain_id: { type: Number, required: true },
+  owner_address: { type: String, required: true },
+  threshold: { type: Number },
+  owner_count: { type: Number },
+  linked_at: { type: Number, required: true }
+});
+
+linkedSafeSchema.index({ discord_id: 1, safe_address: 1, chain_id: 1 }, { unique: true });
+
+// Which co-owner a Safe's holdings currently count for, per role - a Safe only qualifies one member for a role
+const safeClaimSchema = new mongoose.Schema({
+  guild_id: { type: String, required: true },
+  role_id: { type: String, required: true },
+  safe_address: { type: String, required: true },
+  chain_id: { type: Number, required: true },
+  discord_id: { type: String, required: true, index: true },
+  claimed_at: { type: Number, required: true }
+});
+
+safeClaimSchema.index({ guild_id: 1, role_id: 1, safe_address: 1, chain_id: 1 }, { unique: true });
+
+// Last block the Transfer watcher has processed on each chain (see transfer-watcher.js)
+const watcherStateSchema = new mongoose.Schema({
+  chain_id: { type: Number, required: true, unique: true },
+  last_block: { type: Number, required: true },
+  updated_at: { type: Number, required: true }
+});
+
+// Cached NFT metadata attributes (see nft-metadata.js)
+const nftMetadataSchema = new mongoose.Schema({
+  chain_id: { type: Number, required: true },
+  contract_address: { type: String, required: true },
+  token_id: { type: String, required: true },
+  uri: { type: String },
+  name: { type: String },
+  attributes: [{ _id: false, trait_type: String, value: mongoose.Schema.Types.Mixed }],
+  fetched_at: { type: Number, required: true }
+});
+
+nftMetadataSchema.index({ chain_id: 1, contract_address: 1, token_id: 1 }, { unique: true });
+
 // Blaze registration schema - maps Blaze usernames to verified wallets
 const blazeRegistrationSchema = new mongoose.Schema({
   blaze_username: { type: String, required: true, unique: true, index: true },
@@ -68,7 +178,13 @@ pendingBlazeRegistrationSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0
 const User = mongoose.model('User', userSchema);
 const Wallet = mongoose.model('Wallet', walletSchema);
 const RoleConfig = mongoose.model('RoleConfig', roleConfigSchema);
+const RoleRule = mongoose.model('RoleRule', roleRuleSchema);
+const TierGroup = mongoose.model('TierGroup', tierGroupSchema);
 const VerificationHistory = mongoose.model('VerificationHistory', verificationHistorySchema);
+const LinkedSafe = mongoose.model('LinkedSafe', linkedSafeSchema);
+const SafeClaim = mongoose.model('SafeClaim', safeClaimSchema);
+const WatcherState = mongoose.model('WatcherState', watcherStateSchema);
+const NftMetadata = mongoose.model('NftMetadata', nftMetadataSchema, 'nft_metadata');
 const BlazeRegistration = mongoose.model('BlazeRegistration', blazeRegistrationSchema);
 const PendingBlazeRegistration = mongoose.model('PendingBlazeRegistration', pendingBlazeRegistrationSchema);
 
@@ -88,10 +204,19 @@ async function initDatabase() {
     await User.createIndexes();
     await Wallet.createIndexes();
     await RoleConfig.createIndexes();
+    await RoleRule.createIndexes();
+    await TierGroup.createIndexes();
     await VerificationHistory.createIndexes();
+    await LinkedSafe.createIndexes();
+    await SafeClaim.createIndexes();
+    await WatcherState.createIndexes();
+    await NftMetadata.createIndexes();
     await BlazeRegistration.createIndexes();
     await PendingBlazeRegistration.createIndexes();
 
+    await migrateERC1155Configs();
+    await migrateNFTStakingAdapters();
+
     console.log('Database initialized successfully');
   } catch (error) {
     console.error('MongoDB connection error:', error);
@@ -99,6 +224,67 @@ async function initDatabase() {
   }
 }
 
+/**
+ * Move ERC1155 configs from the old "tokenId:amount" min_balance to token_ids + token_id_mode
+ */
+async function migrateERC1155Configs() {
+  const legacy = await RoleConfig.find({ token_type: 'ERC1155', token_ids: { $exists: false } }).lean();
+  let migrated = 0;
+
+  for (const config of legacy) {
+    const parsed = parseLegacyERC1155Balance(config.min_balance);
+    if (!parsed) {
+      // Left without token_ids - its roles are left as they are (unknown) until it is re-added, and /listroles shows the error
+      console.warn(`ERC1155 config ${config._id} has an unreadable min_balance "${config.min_balance}" - remove and re-add it`);
+      if (!config.check_error) {
+        await RoleConfig.updateOne(
+          { _id: config._id },
+          { check_error: `Unreadable legacy min_balance "${config.min_balance}" - remove and re-add this config`, check_error_at: Date.now() }
+        );
+      }
+      continue;
+    }
+
+    await RoleConfig.updateOne(
+      { _id: config._id },
+      { token_ids: parsed.tokenIds, token_id_mode: 'any', min_balance: parsed.amount }
+    );
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} ERC1155 config(s) to token ID sets`);
+  }
+}
+
+/**
+ * Give ERC721 / ERC1155 configs saved before staking adapters an explicit one (vaultbalance / perid),
+ * instead of the ERC20-style auto-detect unset adapters fall back to
+ */
+async function migrateNFTStakingAdapters() {
+  const legacy = await RoleConfig.find({
+    token_type: { $in: ['ERC721', 'ERC1155'] },
+    staking_contract: { $exists: true, $nin: [null, ''] },
+    staking_adapter: { $exists: false }
+  }).lean();
+
+  for (const config of legacy) {
+    const adapter = getDefaultStakingAdapter(config.token_type);
+    await RoleConfig.updateOne(
+      { _id: config._id },
+      { staking_adapter: adapter, staking_params: getStakingAdapter(adapter).normalizeParams({}) }
+    );
+
+    if (config.token_type === 'ERC721' && (config.token_ids?.length || config.traits?.length)) {
+      console.warn(`ERC721 config ${config._id} lists token IDs or traits - its staked tokens only count once it is re-added with a token ID adapter (depositsof, stakedtokens or idlist)`);
+    }
+  }
+
+  if (legacy.length > 0) {
+    console.log(`Set the staking adapter of ${legacy.length} NFT config(s)`);
+  }
+}
+
 // User functions
 async function ensureUser(discordId, username) {
   try {
@@ -133,6 +319,43 @@ async function updateLastChecked(discordId) {
   );
 }
 
+/**
+ * Schedule a recheck of a user whose check could not be completed.
+ * Gives up after RECHECK_MAX_ATTEMPTS (default 5) in a row - the periodic verification still checks them.
+ * @returns {Promise<boolean>} Whether a recheck is scheduled
+ */
+async function scheduleRecheck(discordId, delayMs = (parseInt(process.env.RECHECK_DELAY_MINUTES) || 15) * 60 * 1000) {
+  const maxAttempts = parseInt(process.env.RECHECK_MAX_ATTEMPTS) || 5;
+
+  // Keep an earlier recheck if one is already scheduled
+  const result = await User.updateOne(
+    { discord_id: discordId, recheck_attempts: { $not: { $gte: maxAttempts } } },
+    { $min: { recheck_at: Date.now() + delayMs }, $inc: { recheck_attempts: 1 } }
+  );
+  return result.matchedCount > 0;
+}
+
+/**
+ * A check completed - allow rechecks again the next time one can't be
+ */
+async function resetRecheckAttempts(discordId) {
+  return User.updateOne(
+    { discord_id: discordId, recheck_attempts: { $exists: true } },
+    { $unset: { recheck_attempts: 1 } }
+  );
+}
+
+function getUsersDueForRecheck() {
+  return User.find({ recheck_at: { $lte: Date.now() } }).lean();
+}
+
+async function clearRecheck(discordId) {
+  return User.updateOne(
+    { discord_id: discordId },
+    { $unset: { recheck_at: 1 } }
+  );
+}
+
 // Wallet functions
 async function addWallet(discordId, walletAddress, username, isPrimary = false) {
   try {
@@ -199,15 +422,112 @@ function getAllWallets() {
   return Wallet.find({}).lean();
 }
 
+function getWalletsByAddresses(walletAddresses) {
+  return Wallet.find({ wallet_address: { $in: walletAddresses.map(address => address.toLowerCase()) } }).lean();
+}
+
+// Linked Safe functions
+async function linkSafe(discordId, safeAddress, chainId, { ownerAddress, threshold, ownerCount }) {
+  return LinkedSafe.findOneAndUpdate(
+    { discord_id: discordId, safe_address: safeAddress.toLowerCase(), chain_id: chainId },
+    {
+      owner_address: ownerAddress.toLowerCase(),
+      threshold,
+      owner_count: ownerCount,
+      linked_at: Date.now()
+    },
+    { upsert: true, new: true }
+  );
+}
+
+function getLinkedSafes(discordId) {
+  return LinkedSafe.find({ discord_id: discordId }).sort({ linked_at: 1 }).lean();
+}
+
+function getLinkedSafesByAddresses(safeAddresses, chainId) {
+  return LinkedSafe.find({ safe_address: { $in: safeAddresses.map(address => address.toLowerCase()) }, chain_id: chainId }).lean();
+}
+
+async function unlinkSafe(discordId, safeAddress, chainId) {
+  const filter = { discord_id: discordId, safe_address: safeAddress.toLowerCase() };
+  if (chainId) filter.chain_id = chainId;
+
+  await SafeClaim.deleteMany(filter);
+  return LinkedSafe.deleteMany(filter);
+}
+
+function getSafeClaims(guildId, roleId) {
+  return SafeClaim.find({ guild_id: guildId, role_id: roleId }).lean();
+}
+
+function getGuildSafeClaims(guildId) {
+  return SafeClaim.find({ guild_id: guildId }).lean();
+}
+
+/**
+ * Claim a Safe for a role. Returns the claim, which belongs to whoever claimed it first.
+ */
+async function claimSafe(guildId, roleId, safeAddress, chainId, discordId) {
+  try {
+    return await SafeClaim.findOneAndUpdate(
+      { guild_id: guildId, role_id: roleId, safe_address: safeAddress.toLowerCase(), chain_id: chainId },
+      { $setOnInsert: { discord_id: discordId, claimed_at: Date.now() } },
+      { upsert: true, new: true }
+    ).lean();
+  } catch (error) {
+    // Two co-owners claimed at the same moment - the other one won
+    if (error.code === 11000) {
+      return SafeClaim.findOne({ guild_id: guildId, role_id: roleId, safe_address: safeAddress.toLowerCase(), chain_id: chainId }).lean();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a member's claims for a role, except on the Safes ({ safe_address, chain_id }) in `except`
+ */
+async function releaseSafeClaims(guildId, roleId, discordId, { except = [] } = {}) {
+  const filter = { guild_id: guildId, role_id: roleId, discord_id: discordId };
+  if (except.length > 0) filter.$nor = except;
+  return SafeClaim.deleteMany(filter);
+}
+
+async function releaseRoleSafeClaims(guildId, roleId) {
+  return SafeClaim.deleteMany({ guild_id: guildId, role_id: roleId });
+}
+
+async function releaseMemberSafeClaims(guildId, discordId) {
+  return SafeClaim.deleteMany({ guild_id: guildId, discord_id: discordId });
+}
+
+async function deleteSafeClaims(ids) {
+  return SafeClaim.deleteMany({ _id: { $in: ids } });
+}
+
 // Role configuration functions
-async function addRoleConfig(guildId, roleId, contractAddress, tokenType, minBalance, stakingContract = null) {
+async function addRoleConfig(guildId, roleId, contractAddress, tokenType, minBalance, stakingContract = null, options = {}) {
   const roleConfig = new RoleConfig({
     guild_id: guildId,
     role_id: roleId,
     contract_address: contractAddress.toLowerCase(),
     token_type: tokenType,
     min_balance: minBalance,
+    chain_id: options.chainId,
     staking_contract: stakingContract?.toLowerCase(),
+    staking_adapter: options.stakingAdapter,
+    staking_params: options.stakingParams,
+    evaluation_mode: options.evaluationMode,
+    denomination: options.denomination,
+    price_source: options.priceSource,
+    price_feed: options.priceFeed?.toLowerCase(),
+    min_hold_days: options.minHoldDays,
+    token_ids: options.tokenIds,
+    token_id_mode: options.tokenIdMode,
+    traits: options.traits,
+    lp_token: options.lpToken?.toLowerCase(),
+    lp_include_wallet: options.lpIncludeWallet,
+    custom_call: options.customCall,
+    token_metadata: options.tokenMetadata,
     created_at: Date.now()
   });
 
@@ -218,6 +538,10 @@ function getRoleConfigs(guildId) {
   return RoleConfig.find({ guild_id: guildId }).lean();
 }
 
+function getAllRoleConfigs() {
+  return RoleConfig.find({}).lean();
+}
+
 function getRoleConfig(guildId, roleId) {
   return RoleConfig.find({ guild_id: guildId, role_id: roleId }).lean();
 }
@@ -226,6 +550,76 @@ async function deleteRoleConfig(id) {
   return RoleConfig.deleteOne({ _id: id });
 }
 
+function getRoleConfigById(id) {
+  return RoleConfig.findById(id).lean();
+}
+
+/**
+ * Record (or clear, with null) a config's last deterministic check failure
+ */
+async function setRoleConfigCheckError(id, message) {
+  return RoleConfig.updateOne(
+    { _id: id },
+    message ? { check_error: message, check_error_at: Date.now() } : { $unset: { check_error: 1, check_error_at: 1 } }
+  );
+}
+
+// Role rule functions
+async function setRoleRule(guildId, roleId, rule, expression) {
+  const now = Date.now();
+
+  return RoleRule.findOneAndUpdate(
+    { guild_id: guildId, role_id: roleId },
+    {
+      guild_id: guildId,
+      role_id: roleId,
+      rule,
+      expression,
+      updated_at: now,
+      $setOnInsert: { created_at: now }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+function getRoleRules(guildId) {
+  return RoleRule.find({ guild_id: guildId }).lean();
+}
+
+function getRoleRule(guildId, roleId) {
+  return RoleRule.findOne({ guild_id: guildId, role_id: roleId }).lean();
+}
+
+async function deleteRoleRule(guildId, roleId) {
+  return RoleRule.deleteOne({ guild_id: guildId, role_id: roleId });
+}
+
+// Tier group functions
+async function setTierGroup(guildId, name, roleIds, mode) {
+  const now = Date.now();
+
+  return TierGroup.findOneAndUpdate(
+    { guild_id: guildId, name },
+    {
+      guild_id: guildId,
+      name,
+      role_ids: roleIds,
+      mode,
+      updated_at: now,
+      $setOnInsert: { created_at: now }
+    },
+    { upsert: true, new: true }
+  );
+}
+
+function getTierGroups(guildId) {
+  return TierGroup.find({ guild_id: guildId }).sort({ name: 1 }).lean();
+}
+
+async function deleteTierGroup(guildId, name) {
+  return TierGroup.deleteOne({ guild_id: guildId, name });
+}
+
 // Verification history functions
 async function logVerification(discordId, guildId, roleId, action, reason = null) {
   const history = new VerificationHistory({
@@ -240,6 +634,37 @@ async function logVerification(discordId, guildId, roleId, action, reason = null
   return history.save();
 }
 
+// Transfer watcher functions
+async function getWatcherBlock(chainId) {
+  const state = await WatcherState.findOne({ chain_id: chainId }).lean();
+  return state ? state.last_block : null;
+}
+
+async function setWatcherBlock(chainId, blockNumber) {
+  return WatcherState.updateOne(
+    { chain_id: chainId },
+    { last_block: blockNumber, updated_at: Date.now() },
+    { upsert: true }
+  );
+}
+
+// NFT metadata cache functions
+function getNftMetadata(chainId, contractAddress, tokenIds) {
+  return NftMetadata.find({
+    chain_id: chainId,
+    contract_address: contractAddress.toLowerCase(),
+    token_id: { $in: tokenIds }
+  }).lean();
+}
+
+async function saveNftMetadata(chainId, contractAddress, tokenId, { uri, name, attributes }) {
+  return NftMetadata.updateOne(
+    { chain_id: chainId, contract_address: contractAddress.toLowerCase(), token_id: tokenId },
+    { uri, name, attributes, fetched_at: Date.now() },
+    { upsert: true }
+  );
+}
+
 function getVerificationHistory(discordId, limit = 10) {
   return VerificationHistory.find({ discord_id: discordId })
     .sort({ timestamp: -1 })
@@ -416,18 +841,48 @@ module.exports = {
   getUser,
   getAllUsers,
   updateLastChecked,
+  scheduleRecheck,
+  resetRecheckAttempts,
+  getUsersDueForRecheck,
+  clearRecheck,
   addWallet,
   getWallets,
   getWalletCount,
   removeWallet,
   setPrimaryWallet,
   getAllWallets,
+  getWalletsByAddresses,
+  linkSafe,
+  getLinkedSafes,
+  getLinkedSafesByAddresses,
+  unlinkSafe,
+  getSafeClaims,
+  claimSafe,
+  releaseSafeClaims,
+  getGuildSafeClaims,
+  releaseRoleSafeClaims,
+  releaseMemberSafeClaims,
+  deleteSafeClaims,
   addRoleConfig,
   getRoleConfigs,
+  getAllRoleConfigs,
   getRoleConfig,
   deleteRoleConfig,
+  getRoleConfigById,
+  setRoleConfigCheckError,
+  setRoleRule,
+  getRoleRules,
+  getRoleRule,
+  deleteRoleRule,
+  setTierGroup,
+  getTierGroups,
+  deleteTierGroup,
   logVerification,
   getVerificationHistory,
+  getWatcherBlock,
+  setWatcherBlock,
+  getNftMetadata,
+  saveNftMetadata,
   // Blaze registration functions
   createBlazeRegistrationToken,
   getPendingRegistration,
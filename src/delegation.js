@@ -0,0 +1,71 @@
+const { ethers } = require('ethers');
+
+/**
+ * delegate.xyz v2 registry - lets a cold wallet (vault) delegate to a hot wallet
+ * without the vault ever signing anything for us.
+ */
+
+// Same address on every chain it is deployed to
+const DELEGATE_REGISTRY_V2_ADDRESS = '0x00000000000000447e69651d841bD8D104Bed493';
+
+const DELEGATE_REGISTRY_V2_ABI = [
+  'function getIncomingDelegations(address to) view returns (tuple(uint8 type_, address to, address from, bytes32 rights, address contract_, uint256 tokenId, uint256 amount)[] delegations)'
+];
+
+// DelegationType enum from the registry
+const DELEGATION_TYPES = ['none', 'all', 'contract', 'erc721', 'erc20', 'erc1155'];
+
+/**
+ * Read the delegations made to a wallet.
+ * Only delegations with empty rights (full delegation) are returned - rights-scoped
+ * delegations are meant for other applications.
+ * @returns {Promise<Array<{ vault: string, delegate: string, type: string, contract: string|null }>>}
+ */
+async function getIncomingDelegations(runner, registryAddress, walletAddress, overrides = {}) {
+  const registry = new ethers.Contract(registryAddress, DELEGATE_REGISTRY_V2_ABI, runner);
+  const delegations = await registry.getIncomingDelegations(walletAddress, overrides);
+
+  return delegations
+    .filter(delegation => delegation.rights === ethers.ZeroHash)
+    .map(delegation => ({
+      vault: delegation.from.toLowerCase(),
+      delegate: delegation.to.toLowerCase(),
+      type: DELEGATION_TYPES[Number(delegation.type_)] || 'none',
+      contract: delegation.contract_ === ethers.ZeroAddress ? null : delegation.contract_.toLowerCase()
+    }))
+    .filter(delegation => delegation.type !== 'none');
+}
+
+/**
+ * Whether a delegation lets the vault's holdings count for a role config.
+ * Wallet-wide delegations count for every config; contract delegations only for
+ * configs on that contract. Token-level (erc20/erc721/erc1155) delegations cover
+ * single tokens or amounts and are not counted.
+ */
+function delegationCovers(delegation, roleConfig) {
+  if (delegation.type === 'all') return true;
+
+  return delegation.type === 'contract' &&
+    roleConfig.token_type !== 'NATIVE' &&
+    delegation.contract === roleConfig.contract_address.toLowerCase();
+}
+
+/**
+ * Short description of a delegation, e.g. "all contracts" or "contract 0x1234...abcd"
+ */
+function describeDelegation(delegation) {
+  if (delegation.type === 'all') return 'all contracts';
+
+  const contract = delegation.contract
+    ? `${delegation.contract.slice(0, 6)}...${delegation.contract.slice(-4)}`
+    : 'unknown';
+  return `${delegation.type} ${contract}`;
+}
+
+module.exports = {
+  DELEGATE_REGISTRY_V2_ADDRESS,
+  DELEGATE_REGISTRY_V2_ABI,
+  getIncomingDelegations,
+  delegationCovers,
+  describeDelegation
+};
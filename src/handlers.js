@@ -1,7 +1,39 @@
+const { ethers } = require('ethers');
+const { AttachmentBuilder } = require('discord.js');
 const db = require('./database-mongo');
 const BlockchainService = require('./blockchain');
-
-const blockchainService = new BlockchainService(process.env.AVALANCHE_RPC_URL);
+const { DEFAULT_CHAIN_ID, resolveChain, formatChain, getChain, getChains } = require('./chains');
+const { describeDelegation } = require('./delegation');
+const { parseCustomCall, describeCustomCall } = require('./custom-call');
+const { evaluateRoleWithSafes } = require('./safes');
+const { ADDRESS_PATTERN, isName, formatAddressWithName } = require('./names');
+const { TIER_MODES, parseRoleList, checkTierOrder, getTierProgress } = require('./tiers');
+const {
+  parseStakingParams,
+  getStakingAdapter,
+  getDefaultStakingAdapter,
+  checkStakingAdapterType,
+  describeStakingAdapter
+} = require('./staking-adapters');
+const { MAX_ERC1155_IDS, parseTokenIds, parseLegacyERC1155Balance, countTokenIds, formatTokenIds } = require('./token-ids');
+const { parseTraitConditions, describeTraitConditions } = require('./nft-metadata');
+const {
+  parseRule,
+  formatRule,
+  formatRuleTree,
+  getRuleConfigIds,
+  shortConfigId,
+  createConfigIdResolver,
+  formatTokenAmount,
+  roundAmount,
+  formatResultBalance,
+  formatResultRequired,
+  statusIcon,
+  describeRoleEvaluation,
+  groupConfigsByRole
+} = require('./rules');
+
+const blockchainService = BlockchainService.shared();
 
 /**
  * Generate verification message for user to sign
@@ -12,6 +44,78 @@ function getVerificationMessage() {
   return `I am verifying my wallet for Web3Verify.\n\nBy signing this message, I prove ownership of my wallet.`;
 }
 
+// Discord rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Split a long response on line boundaries into messages Discord accepts
+ * (a single line longer than the limit is cut)
+ */
+function splitMessage(content, maxLength = MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let current = '';
+
+  for (const line of content.split('\n')) {
+    let rest = line;
+    while (rest.length > maxLength) {
+      if (current) chunks.push(current);
+      current = '';
+      chunks.push(rest.slice(0, maxLength));
+      rest = rest.slice(maxLength);
+    }
+
+    const next = current ? `${current}\n${rest}` : rest;
+    if (next.length > maxLength) {
+      chunks.push(current);
+      current = rest;
+    } else {
+      current = next;
+    }
+  }
+  if (current.trim()) chunks.push(current);
+
+  return chunks.length > 0 ? chunks : [''];
+}
+
+/**
+ * Edit a deferred reply with a response that may be too long for one message -
+ * the rest follows as ephemeral follow-ups
+ */
+async function editReplyInChunks(interaction, content) {
+  const [first, ...rest] = splitMessage(content);
+  await interaction.editReply({ content: first });
+  for (const chunk of rest) {
+    await interaction.followUp({ content: chunk, ephemeral: true });
+  }
+}
+
+/**
+ * Turn a wallet option - a 0x address, a .avax name or an ENS name - into an address
+ * @returns {Promise<{ address?: string, name?: string|null, error?: string }>}
+ */
+async function resolveWalletInput(input) {
+  const value = input.trim();
+
+  if (ADDRESS_PATTERN.test(value)) {
+    return { address: value, name: null };
+  }
+
+  if (!isName(value)) {
+    return { error: 'Invalid wallet. Enter a wallet address (0x...), a .avax name or an ENS name.' };
+  }
+
+  try {
+    const address = await blockchainService.resolveName(value);
+    if (!address) {
+      return { error: `\`${value}\` does not point to a wallet address.` };
+    }
+    return { address, name: value.toLowerCase() };
+  } catch (error) {
+    console.error(`Error resolving ${value}:`, error);
+    return { error: `Could not resolve \`${value}\` right now. Please try again later or use the 0x address.` };
+  }
+}
+
 /**
  * Handle /linkwallet command (new simplified version)
  */
@@ -29,27 +133,42 @@ async function handleLinkWallet(interaction) {
  * Handle /verify command
  */
 async function handleVerify(interaction) {
-  const walletAddress = interaction.options.getString('wallet');
+  const walletInput = interaction.options.getString('wallet');
   const signature = interaction.options.getString('signature');
+  const chainInput = interaction.options.getString('chain');
+
+  // Validate wallet format (names are resolved after deferring - the lookup can be slow)
+  if (!ADDRESS_PATTERN.test(walletInput.trim()) && !isName(walletInput)) {
+    return interaction.reply({
+      content: 'Invalid wallet. Enter a wallet address (0x...), a .avax name or an ENS name.',
+      ephemeral: true
+    });
+  }
 
-  // Validate wallet address format
-  if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+  const chain = chainInput ? resolveChain(chainInput) : null;
+  if (chainInput && !chain) {
     return interaction.reply({
-      content: 'Invalid wallet address format. Must be a valid Ethereum address (0x...)',
+      content: `Unknown chain "${chainInput}".`,
       ephemeral: true
     });
   }
 
   await interaction.deferReply({ ephemeral: true });
 
+  const wallet = await resolveWalletInput(walletInput);
+  if (wallet.error) {
+    return interaction.editReply({ content: wallet.error });
+  }
+  const walletAddress = wallet.address;
+
   try {
     // Generate the expected message (same format as web interface)
     const message = getVerificationMessage();
     console.log('Expected message:', message);
     console.log('Verifying signature for wallet:', walletAddress);
 
-    // Verify signature
-    const isValid = blockchainService.verifySignature(message, signature, walletAddress);
+    // Verify signature (EOA, or EIP-1271 / ERC-6492 for contract wallets)
+    const isValid = await blockchainService.verifySignature(message, signature, walletAddress, { chainId: chain?.id });
     console.log('Signature valid:', isValid);
 
     if (!isValid) {
@@ -71,40 +190,58 @@ async function handleVerify(interaction) {
       });
     }
 
-    // Check each role requirement
+    // Check each role against all of the user's wallets (rules may depend on several)
+    const wallets = await db.getWallets(interaction.user.id);
+    const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(interaction.guild.id), await db.getTierGroups(interaction.guild.id));
     const rolesAdded = [];
     const rolesFailed = [];
 
-    for (const config of roleConfigs) {
+    for (const roleGroup of roleGroups) {
+      const role = interaction.guild.roles.cache.get(roleGroup.roleId);
+
       try {
-        const result = await blockchainService.verifyTokenRequirements(walletAddress, config);
+        const evaluation = await evaluateRoleWithSafes(blockchainService, {
+          discordId: interaction.user.id,
+          guildId: interaction.guild.id,
+          walletAddresses: wallets.map(wallet => wallet.wallet_address),
+          roleGroup
+        });
 
-        if (result.hasBalance) {
+        if (evaluation.qualified) {
           // Add role to user
-          const role = interaction.guild.roles.cache.get(config.role_id);
-          if (role) {
+          if (role && !interaction.member.roles.cache.has(role.id)) {
             await interaction.member.roles.add(role);
             rolesAdded.push(role.name);
-            await db.logVerification(interaction.user.id, interaction.guild.id, config.role_id, 'added', 'Initial verification');
+            await db.logVerification(interaction.user.id, interaction.guild.id, roleGroup.roleId, 'added', 'Initial verification');
           }
+        } else if (evaluation.status === 'unknown') {
+          await db.logVerification(interaction.user.id, interaction.guild.id, roleGroup.roleId, 'unknown', `Initial verification - ${describeRoleEvaluation(evaluation)}`);
+          await db.scheduleRecheck(interaction.user.id);
+          rolesFailed.push({
+            role: role?.name || 'Unknown',
+            reason: `${describeRoleEvaluation(evaluation)} - it will be checked again shortly`
+          });
         } else {
           rolesFailed.push({
-            role: interaction.guild.roles.cache.get(config.role_id)?.name || 'Unknown',
-            reason: `Insufficient balance (has: ${result.balance}, needs: ${result.required})`
+            role: role?.name || 'Unknown',
+            reason: describeRoleEvaluation(evaluation) +
+              (evaluation.safesClaimedByOthers > 0 ? ' (a linked Safe already counts for another co-owner)' : '')
           });
         }
       } catch (error) {
-        console.error(`Error checking role ${config.role_id}:`, error);
+        console.error(`Error checking role ${roleGroup.roleId}:`, error);
+        await db.scheduleRecheck(interaction.user.id);
         rolesFailed.push({
-          role: interaction.guild.roles.cache.get(config.role_id)?.name || 'Unknown',
-          reason: 'Error checking balance'
+          role: role?.name || 'Unknown',
+          reason: 'Error checking balance - it will be checked again shortly'
         });
       }
     }
 
     await db.updateLastChecked(interaction.user.id);
 
-    let responseMessage = `Wallet \`${walletAddress}\` verified successfully!\n`;
+    const walletLabel = wallet.name ? `${wallet.name} (\`${walletAddress}\`)` : `\`${walletAddress}\``;
+    let responseMessage = `Wallet ${walletLabel} verified successfully!\n`;
     responseMessage += `You now have **${walletCount}** wallet${walletCount > 1 ? 's' : ''} linked.\n\n`;
 
     if (rolesAdded.length > 0) {
@@ -141,6 +278,8 @@ async function handleStatus(interaction) {
     });
   }
 
+  await interaction.deferReply({ ephemeral: true });
+
   const user = await db.getUser(interaction.user.id);
   const history = await db.getVerificationHistory(interaction.user.id, 5);
   const roleConfigs = await db.getRoleConfigs(interaction.guild.id);
@@ -148,10 +287,11 @@ async function handleStatus(interaction) {
   let response = `**Your Verification Status**\n\n`;
   response += `**Linked Wallets (${wallets.length}):**\n`;
 
-  wallets.forEach(wallet => {
+  const names = await Promise.all(wallets.map(wallet => blockchainService.lookupName(wallet.wallet_address)));
+
+  wallets.forEach((wallet, index) => {
     const isPrimary = wallet.is_primary ? ' ⭐ PRIMARY' : '';
-    const shortAddress = `${wallet.wallet_address.slice(0, 6)}...${wallet.wallet_address.slice(-4)}`;
-    response += `- \`${shortAddress}\`${isPrimary}\n`;
+    response += `- ${formatAddressWithName(wallet.wallet_address, names[index])}${isPrimary}\n`;
   });
 
   if (user.last_checked) {
@@ -160,17 +300,78 @@ async function handleStatus(interaction) {
 
   if (roleConfigs.length > 0) {
     response += `\n**Token-Gated Roles in this Server:** ${roleConfigs.length}\n`;
+
+    // Show where the user stands on each role right now
+    const tierGroups = await db.getTierGroups(interaction.guild.id);
+    const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(interaction.guild.id), tierGroups);
+    const walletAddresses = wallets.map(wallet => wallet.wallet_address);
+    const evaluations = new Map();
+
+    for (const roleGroup of roleGroups) {
+      const role = interaction.guild.roles.cache.get(roleGroup.roleId);
+
+      try {
+        const evaluation = await evaluateRoleWithSafes(blockchainService, {
+          discordId: interaction.user.id,
+          guildId: interaction.guild.id,
+          walletAddresses,
+          roleGroup
+        }, { claim: false });
+        evaluations.set(roleGroup.roleId, evaluation);
+
+        const viaSafe = evaluation.safes.length > 0 ? ' (via linked Safe)' : '';
+        const unknown = evaluation.status === 'unknown' ? ' (could not be fully checked right now)' : '';
+        const superseded = evaluation.supersededBy
+          ? ` (you hold the higher tier ${interaction.guild.roles.cache.get(evaluation.supersededBy)?.name || 'Deleted Role'})`
+          : '';
+        response += `${statusIcon(evaluation.status)} **${role?.name || 'Deleted Role'}**${viaSafe}${unknown}${superseded}\n`;
+
+        evaluation.configResults.forEach(({ config, status, result }) => {
+          const balance = result
+            ? `${formatResultBalance(result)} / ${formatResultRequired(result)}`
+            : 'could not check balance';
+          response += `  - ${statusIcon(status)} ${config.token_type}: ${balance}\n`;
+        });
+      } catch (error) {
+        console.error(`Error checking role ${roleGroup.roleId} for status:`, error);
+        response += `⚠️ **${role?.name || 'Deleted Role'}**: could not check balance\n`;
+      }
+    }
+
+    if (tierGroups.length > 0) {
+      response += `\n**Tiers:**\n`;
+      const roleName = roleId => interaction.guild.roles.cache.get(roleId)?.name || 'Deleted Role';
+
+      tierGroups.forEach(tierGroup => {
+        const progress = getTierProgress(tierGroup, evaluations);
+        if (progress.unknown) {
+          response += `- **${tierGroup.name}:** ⚠️ could not be fully checked right now\n`;
+          return;
+        }
+
+        const current = progress.current ? roleName(progress.current) : 'no tier yet';
+
+        if (!progress.next) {
+          response += `- **${tierGroup.name}:** ${current} - highest tier reached\n`;
+          return;
+        }
+
+        const distance = progress.shortfalls.length > 0 ? `needs ${progress.shortfalls.join(' and ')} more` : 'requirements not met yet';
+        response += `- **${tierGroup.name}:** ${current} - next: ${roleName(progress.next)} (${distance})\n`;
+      });
+    }
   }
 
   if (history.length > 0) {
     response += `\n**Recent Activity:**\n`;
     history.slice(0, 3).forEach(h => {
       const role = interaction.guild.roles.cache.get(h.role_id);
-      response += `- ${h.action} ${role?.name || 'Unknown'} <t:${Math.floor(h.timestamp / 1000)}:R>\n`;
+      const action = h.action === 'unknown' ? 'could not check' : h.action;
+      response += `- ${action} ${role?.name || 'Unknown'} <t:${Math.floor(h.timestamp / 1000)}:R>\n`;
     });
   }
 
-  await interaction.reply({ content: response, ephemeral: true });
+  await editReplyInChunks(interaction, response);
 }
 
 /**
@@ -178,10 +379,52 @@ async function handleStatus(interaction) {
  */
 async function handleAddRole(interaction) {
   const role = interaction.options.getRole('role');
-  const contractAddress = interaction.options.getString('contract');
+  let contractAddress = interaction.options.getString('contract');
   const tokenType = interaction.options.getString('type');
-  const minBalance = interaction.options.getString('minbalance');
+  let minBalance = interaction.options.getString('minbalance');
   const stakingContract = interaction.options.getString('staking');
+  const chainInput = interaction.options.getString('chain');
+  const evaluationMode = interaction.options.getString('mode') || 'any';
+  const stakingAdapterKey = interaction.options.getString('stakingadapter');
+  const stakingParamsInput = interaction.options.getString('stakingparams');
+  const denomination = interaction.options.getString('denomination') || 'TOKEN';
+  const priceSource = interaction.options.getString('pricesource') || 'chainlink';
+  const priceFeed = interaction.options.getString('pricefeed');
+  const holdDays = interaction.options.getInteger('holddays');
+  const functionSignature = interaction.options.getString('function');
+  const callArgs = interaction.options.getString('args');
+  const returnIndex = interaction.options.getInteger('returnindex');
+  const comparator = interaction.options.getString('comparator');
+  const tokenIdsInput = interaction.options.getString('tokenids');
+  const traitsInput = interaction.options.getString('traits');
+  const tokenIdMode = interaction.options.getString('idmode');
+  const lpToken = interaction.options.getString('lptoken');
+  const lpIncludeWallet = interaction.options.getBoolean('lpwallet');
+
+  const chain = resolveChain(chainInput);
+  if (!chain) {
+    const available = getChains().map(c => `${c.key} (${c.id})`).join(', ');
+    return interaction.reply({
+      content: `Unknown chain "${chainInput}". Available chains: ${available}`,
+      ephemeral: true
+    });
+  }
+
+  if (tokenType === 'NATIVE') {
+    // Native coin has no contract - store the zero address
+    if (stakingContract) {
+      return interaction.reply({
+        content: 'Staking contracts are not supported for NATIVE requirements.',
+        ephemeral: true
+      });
+    }
+    contractAddress = ethers.ZeroAddress;
+  } else if (!contractAddress) {
+    return interaction.reply({
+      content: `A contract address is required for ${tokenType} requirements.`,
+      ephemeral: true
+    });
+  }
 
   // Validate contract address
   if (!/^0x[a-fA-F0-9]{40}$/.test(contractAddress)) {
@@ -198,31 +441,443 @@ async function handleAddRole(interaction) {
     });
   }
 
+  if ((stakingAdapterKey || stakingParamsInput) && !stakingContract) {
+    return interaction.reply({
+      content: 'A staking adapter needs a staking contract - set the `staking` option too.',
+      ephemeral: true
+    });
+  }
+
+  if (denomination === 'USD') {
+    if (tokenType !== 'ERC20') {
+      return interaction.reply({
+        content: 'USD denomination is only supported for ERC20 requirements.',
+        ephemeral: true
+      });
+    }
+    if (!priceFeed || !/^0x[a-fA-F0-9]{40}$/.test(priceFeed)) {
+      return interaction.reply({
+        content: 'USD denomination needs a valid `pricefeed` address (Chainlink aggregator or token/stablecoin pair).',
+        ephemeral: true
+      });
+    }
+    if (!/^\d+(\.\d+)?$/.test(minBalance)) {
+      return interaction.reply({
+        content: 'Min balance must be a plain USD amount for USD denomination, e.g. 500 or 49.99',
+        ephemeral: true
+      });
+    }
+  }
+
+  if (holdDays && (tokenType === 'NATIVE' || denomination === 'USD')) {
+    return interaction.reply({
+      content: 'A holding duration needs token Transfer events, so it is not supported for NATIVE or USD-denominated requirements.',
+      ephemeral: true
+    });
+  }
+
+  let customCall = null;
+  if (tokenType === 'CUSTOM_CALL') {
+    if (stakingContract || holdDays) {
+      return interaction.reply({
+        content: 'Staking contracts and holding durations are not supported for CUSTOM_CALL requirements.',
+        ephemeral: true
+      });
+    }
+    try {
+      customCall = parseCustomCall({ signature: functionSignature, args: callArgs, returnIndex, comparator, expected: minBalance });
+    } catch (error) {
+      return interaction.reply({
+        content: `Invalid custom call: ${error.message}`,
+        ephemeral: true
+      });
+    }
+    // Summing only makes sense for "at least a number" checks
+    if (evaluationMode === 'sum' && customCall.comparator !== 'gte') {
+      return interaction.reply({
+        content: 'Sum mode for CUSTOM_CALL needs a numeric return value with the `gte` comparator.',
+        ephemeral: true
+      });
+    }
+  } else if (functionSignature || callArgs || returnIndex !== null || comparator) {
+    return interaction.reply({
+      content: 'The `function`, `args`, `returnindex` and `comparator` options are only used with type CUSTOM_CALL.',
+      ephemeral: true
+    });
+  }
+
+  if (tokenType === 'LP') {
+    if (!lpToken || !/^0x[a-fA-F0-9]{40}$/.test(lpToken)) {
+      return interaction.reply({
+        content: 'LP requirements need a valid `lptoken` address - the token of the pair whose amount is counted.',
+        ephemeral: true
+      });
+    }
+    if (holdDays) {
+      return interaction.reply({
+        content: 'Holding durations are not supported for LP requirements.',
+        ephemeral: true
+      });
+    }
+    if (!/^\d+(\.\d+)?$/.test(minBalance)) {
+      return interaction.reply({
+        content: 'Min balance must be a plain amount of the `lptoken` for LP requirements, e.g. 5000',
+        ephemeral: true
+      });
+    }
+  } else if (lpToken || lpIncludeWallet !== null) {
+    return interaction.reply({
+      content: 'The `lptoken` and `lpwallet` options are only used with type LP.',
+      ephemeral: true
+    });
+  }
+
+  let traits = null;
+  if (traitsInput) {
+    if (tokenType !== 'ERC721' && tokenType !== 'ERC1155') {
+      return interaction.reply({
+        content: 'The `traits` option is only used with types ERC721 and ERC1155.',
+        ephemeral: true
+      });
+    }
+    if (holdDays) {
+      return interaction.reply({
+        content: 'Holding durations are not supported together with `traits`.',
+        ephemeral: true
+      });
+    }
+    // ERC1155 has no way to list a wallet's tokens, so the candidate IDs must be given
+    if (tokenType === 'ERC1155' && !tokenIdsInput) {
+      return interaction.reply({
+        content: 'ERC1155 trait requirements need the `tokenids` option - list the token IDs whose metadata should be checked.',
+        ephemeral: true
+      });
+    }
+    try {
+      traits = parseTraitConditions(traitsInput);
+    } catch (error) {
+      return interaction.reply({
+        content: `Invalid traits: ${error.message}`,
+        ephemeral: true
+      });
+    }
+    if (!/^\d+$/.test(minBalance) || BigInt(minBalance) < 1n) {
+      return interaction.reply({
+        content: 'Min balance must be a whole number of matching tokens (at least 1) for trait requirements.',
+        ephemeral: true
+      });
+    }
+  }
+
+  if (tokenIdMode && tokenType !== 'ERC1155') {
+    return interaction.reply({
+      content: 'The `idmode` option is only used with type ERC1155.',
+      ephemeral: true
+    });
+  }
+  if (traits && tokenIdMode && tokenIdMode !== 'sum') {
+    return interaction.reply({
+      content: 'ERC1155 trait requirements add up the units of every matching ID - leave `idmode` unset.',
+      ephemeral: true
+    });
+  }
+
+  let tokenIds = null;
+  if (tokenIdsInput) {
+    if (tokenType !== 'ERC721' && tokenType !== 'ERC1155') {
+      return interaction.reply({
+        content: 'The `tokenids` option is only used with types ERC721 and ERC1155.',
+        ephemeral: true
+      });
+    }
+    // Transfer-log holding periods count ERC721 tokens, not particular IDs
+    if (holdDays && tokenType === 'ERC721') {
+      return interaction.reply({
+        content: 'Holding durations are not supported together with `tokenids` on ERC721.',
+        ephemeral: true
+      });
+    }
+    try {
+      tokenIds = parseTokenIds(tokenIdsInput);
+    } catch (error) {
+      return interaction.reply({
+        content: `Invalid token IDs: ${error.message}`,
+        ephemeral: true
+      });
+    }
+    // ERC1155 counts units, so only ERC721 is capped at the number of IDs
+    if (tokenType === 'ERC721' && (!/^\d+$/.test(minBalance) || BigInt(minBalance) < 1n || BigInt(minBalance) > countTokenIds(tokenIds))) {
+      return interaction.reply({
+        content: `Min balance must be a whole number of tokens between 1 and ${countTokenIds(tokenIds)} (the number of listed token IDs).`,
+        ephemeral: true
+      });
+    }
+  } else if (tokenType === 'ERC1155') {
+    // The old "tokenId:amount" min balance still works for a single ID
+    const legacy = minBalance.includes(':') ? parseLegacyERC1155Balance(minBalance) : null;
+    if (!legacy) {
+      return interaction.reply({
+        content: 'ERC1155 requirements need the `tokenids` option, e.g. `tokenids:5` or `tokenids:1-10` with `idmode`.',
+        ephemeral: true
+      });
+    }
+    tokenIds = legacy.tokenIds;
+    minBalance = legacy.amount;
+  }
+
+  if (tokenType === 'ERC1155') {
+    if (countTokenIds(tokenIds) > BigInt(MAX_ERC1155_IDS)) {
+      return interaction.reply({
+        content: `At most ${MAX_ERC1155_IDS} ERC1155 token IDs can be checked - list fewer.`,
+        ephemeral: true
+      });
+    }
+    if (!/^\d+$/.test(minBalance) || BigInt(minBalance) < 1n) {
+      return interaction.reply({
+        content: 'Min balance must be a whole number (at least 1) for ERC1155 requirements.',
+        ephemeral: true
+      });
+    }
+    // Transfer logs are followed for one token ID
+    if (holdDays && countTokenIds(tokenIds) !== 1n) {
+      return interaction.reply({
+        content: 'Holding durations on ERC1155 need a single token ID in `tokenids`.',
+        ephemeral: true
+      });
+    }
+  }
+
+  let stakingAdapter = null;
+  let stakingParams = null;
+  if (stakingContract) {
+    stakingAdapter = stakingAdapterKey || getDefaultStakingAdapter(tokenType);
+    if (!stakingAdapter) {
+      return interaction.reply({
+        content: `${tokenType} staking needs a \`stakingadapter\` saying how to read the staked balance (e.g. \`userinfo\`, \`masterchef\`, \`single\` or \`erc4626\`).`,
+        ephemeral: true
+      });
+    }
+    try {
+      checkStakingAdapterType(stakingAdapter, tokenType, { specificTokens: Boolean(tokenIds || traits) });
+    } catch (error) {
+      return interaction.reply({
+        content: `Invalid staking adapter: ${error.message}`,
+        ephemeral: true
+      });
+    }
+    try {
+      stakingParams = getStakingAdapter(stakingAdapter).normalizeParams(parseStakingParams(stakingParamsInput));
+    } catch (error) {
+      return interaction.reply({
+        content: `Invalid staking parameters: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  // Make sure the contract exists and is the kind of token the admin picked
+  let tokenMetadata = null;
+  if (['ERC20', 'ERC721', 'ERC1155'].includes(tokenType)) {
+    try {
+      tokenMetadata = await blockchainService.inspectTokenContract(contractAddress, tokenType, { chainId: chain.id });
+    } catch (error) {
+      return interaction.editReply({
+        content: `Contract check failed for \`${contractAddress}\` on ${formatChain(chain.id)}: ${error.message}\n\nCheck the address, \`type\` and \`chain\` options.`
+      });
+    }
+  }
+
+  // LP configs store the counted token's metadata, since amounts are in that token
+  let lpPair = null;
+  if (tokenType === 'LP') {
+    try {
+      lpPair = await blockchainService.inspectLPPair(contractAddress, lpToken, { chainId: chain.id });
+      tokenMetadata = lpPair.metadata;
+    } catch (error) {
+      return interaction.editReply({
+        content: `Pair check failed for \`${contractAddress}\` on ${formatChain(chain.id)}: ${error.message}\n\nSet \`contract\` to the pair and \`lptoken\` to one of its two tokens.`
+      });
+    }
+  }
+
+  // Large token ID sets can only be checked on ERC721Enumerable contracts
+  let enumerable = false;
+  if (tokenIds && tokenType === 'ERC721') {
+    try {
+      enumerable = await blockchainService.validateTokenIds(contractAddress, tokenIds, { chainId: chain.id });
+    } catch (error) {
+      return interaction.editReply({
+        content: `Token ID check failed: ${error.message}\n\nList fewer token IDs.`
+      });
+    }
+  }
+
+  // Read the IDs once with balanceOfBatch so a contract without it is caught now
+  if (tokenType === 'ERC1155') {
+    try {
+      await blockchainService.validateERC1155Ids(contractAddress, tokenIds, { chainId: chain.id });
+    } catch (error) {
+      return interaction.editReply({
+        content: `ERC1155 balance check failed: ${error.shortMessage || error.message}\n\nMake sure the contract implements \`balanceOfBatch\`.`
+      });
+    }
+  }
+
+  // Trait checks on a whole collection list each wallet's tokens, which needs ERC721Enumerable
+  if (traits && tokenType === 'ERC721' && !tokenIds) {
+    try {
+      enumerable = await blockchainService.isERC721Enumerable(contractAddress, { chainId: chain.id });
+    } catch (error) {
+      return interaction.editReply({ content: `ERC721Enumerable check failed: ${error.message}` });
+    }
+    if (!enumerable) {
+      return interaction.editReply({
+        content: 'The contract is not ERC721Enumerable, so holders\' tokens can\'t be listed. Set `tokenids` to the token IDs whose metadata should be checked.'
+      });
+    }
+  }
+
+  // Read one token's metadata so misspelled trait names show up now. Not fatal: the
+  // metadata host may just be down, and checks are then reported as unknown until it is back.
+  let metadataSample = null;
+  const traitWarnings = [];
+  if (traits) {
+    try {
+      metadataSample = await blockchainService.inspectTokenMetadata(contractAddress, tokenType, tokenIds, { chainId: chain.id });
+      const traitTypes = metadataSample.attributes.map(attribute => attribute.trait_type.toLowerCase());
+      traits
+        .filter(condition => !traitTypes.includes(condition.trait.toLowerCase()))
+        .forEach(condition => {
+          traitWarnings.push(`Token #${metadataSample.tokenId} has no "${condition.trait}" trait - check the spelling.`);
+        });
+    } catch (error) {
+      traitWarnings.push(`Could not read token metadata (${error.shortMessage || error.message}). Members' checks stay unknown until it can be read.`);
+    }
+  }
+
+  // Make sure the staking adapter actually works against the staking contract
+  let stakingWarnings = [];
+  if (stakingContract) {
+    try {
+      stakingWarnings = await blockchainService.validateStakingAdapter(
+        stakingContract,
+        stakingAdapter,
+        stakingParams,
+        { chainId: chain.id, tokenAddress: contractAddress, tokenIds }
+      );
+    } catch (error) {
+      return interaction.editReply({
+        content: `Staking contract check failed: ${error.message}\n\nPick a different \`stakingadapter\` or adjust \`stakingparams\`.`
+      });
+    }
+  }
+
+  // Read the price once so a wrong feed is caught now rather than at verification time
+  let price = null;
+  if (denomination === 'USD') {
+    try {
+      price = await blockchainService.validatePriceFeed(
+        { contract_address: contractAddress, price_source: priceSource, price_feed: priceFeed },
+        { chainId: chain.id }
+      );
+    } catch (error) {
+      return interaction.editReply({
+        content: `Price feed check failed: ${error.message}
+
+Make sure \`pricefeed\` is a ${priceSource === 'dexpair' ? 'pair between the token and a USD stablecoin' : 'Chainlink USD price feed for the token'}.`
+      });
+    }
+  }
+
+  // Call the function once so a wrong signature or contract is caught now
+  let sampleValue = null;
+  if (customCall) {
+    try {
+      sampleValue = await blockchainService.validateCustomCall(contractAddress, customCall, minBalance, { chainId: chain.id });
+    } catch (error) {
+      return interaction.editReply({
+        content: `Custom call check failed: ${error.message}\n\nMake sure the contract has \`${customCall.function}\` on ${formatChain(chain.id)}.`
+      });
+    }
+  }
+
   try {
-    db.addRoleConfig(
+    await db.addRoleConfig(
       interaction.guild.id,
       role.id,
       contractAddress,
       tokenType,
       minBalance,
-      stakingContract
+      stakingContract,
+      {
+        chainId: chain.id,
+        evaluationMode,
+        stakingAdapter: stakingAdapter || undefined,
+        stakingParams: stakingParams || undefined,
+        denomination,
+        priceSource: denomination === 'USD' ? priceSource : undefined,
+        priceFeed: denomination === 'USD' ? priceFeed : undefined,
+        minHoldDays: holdDays || undefined,
+        customCall: customCall || undefined,
+        tokenIds: tokenIds || undefined,
+        traits: traits || undefined,
+        tokenIdMode: tokenType === 'ERC1155' && !traits ? (tokenIdMode || 'any') : undefined,
+        lpToken: lpToken || undefined,
+        lpIncludeWallet: tokenType === 'LP' ? Boolean(lpIncludeWallet) : undefined,
+        tokenMetadata: tokenMetadata || undefined
+      }
     );
 
     let response = `Role configuration added successfully!\n\n`;
     response += `**Role:** ${role.name}\n`;
+    response += `**Chain:** ${formatChain(chain.id)}\n`;
     response += `**Token Type:** ${tokenType}\n`;
-    response += `**Contract:** \`${contractAddress}\`\n`;
-    response += `**Min Balance:** ${minBalance}\n`;
+    if (tokenType === 'NATIVE') {
+      response += `**Min Balance:** ${minBalance} ${chain.nativeSymbol}\n`;
+    } else if (customCall) {
+      response += `**Contract:** \`${contractAddress}\`\n`;
+      response += `**Call:** \`${describeCustomCall(customCall, minBalance)}\`\n`;
+      response += `**Zero Address Returns:** ${sampleValue}\n`;
+    } else {
+      response += `**Contract:** \`${contractAddress}\`\n`;
+      if (!lpPair && (tokenMetadata?.name || tokenMetadata?.symbol)) {
+        response += `**Token:** ${describeTokenMetadata(tokenMetadata)}\n`;
+      }
+      response += `**Min Balance:** ${formatMinBalance({ token_type: tokenType, min_balance: minBalance, denomination, token_metadata: tokenMetadata, token_ids: tokenIds, traits, token_id_mode: tokenIdMode || 'any', lp_include_wallet: lpIncludeWallet })}\n`;
+    }
+    if (lpPair) {
+      response += `**Counted Token:** ${describeTokenMetadata(tokenMetadata) || 'unnamed'} \`${lpToken}\` (paired with \`${lpPair.otherToken}\`)\n`;
+      response += `**1 LP Token:** currently ${formatTokenAmount(roundAmount(lpPair.perLp), tokenMetadata.symbol)}\n`;
+    }
+    if (metadataSample) {
+      const traitNames = metadataSample.attributes.map(attribute => attribute.trait_type).join(', ') || 'none';
+      response += `**Sample Token:** #${metadataSample.tokenId} (traits: ${traitNames})\n`;
+    }
+    if (tokenIds && tokenType === 'ERC721') {
+      response += `**Checked With:** ${enumerable ? 'tokenOfOwnerByIndex (ERC721Enumerable) or ownerOf, whichever takes fewer calls' : 'ownerOf per token ID'}\n`;
+    }
+    if (holdDays) {
+      response += `**Held For:** at least ${holdDays} day${holdDays > 1 ? 's' : ''}\n`;
+    }
+    if (price) {
+      response += `**Price Feed:** \`${priceFeed}\` (${priceSource}, currently $${price.price})\n`;
+    }
     if (stakingContract) {
       response += `**Staking Contract:** \`${stakingContract}\`\n`;
+      response += `**Staking Adapter:** ${describeStakingAdapter(stakingAdapter, stakingParams)}\n`;
     }
+    response += `**Wallets:** ${evaluationMode === 'sum' ? 'Sum across all linked wallets' : 'Any single wallet'}\n`;
+    [...stakingWarnings, ...traitWarnings].forEach(warning => {
+      response += `\n⚠️ ${warning}`;
+    });
 
-    await interaction.reply({ content: response, ephemeral: true });
+    await interaction.editReply({ content: response });
   } catch (error) {
     console.error('Error adding role config:', error);
-    await interaction.reply({
-      content: 'Error adding role configuration. Please check the console logs.',
-      ephemeral: true
+    await interaction.editReply({
+      content: 'Error adding role configuration. Please check the console logs.'
     });
   }
 }
@@ -240,36 +895,186 @@ async function handleListRoles(interaction) {
     });
   }
 
+  await interaction.deferReply({ ephemeral: true });
+
+  // .avax / ENS names of the staking contracts, if they have one
+  const stakingContracts = [...new Set(roleConfigs.map(config => config.staking_contract).filter(Boolean))];
+  const stakingNames = new Map(await Promise.all(
+    stakingContracts.map(async address => [address, await blockchainService.lookupName(address)])
+  ));
+
   let response = `**Token-Gated Role Configurations:**\n\n`;
 
   roleConfigs.forEach(config => {
     const role = interaction.guild.roles.cache.get(config.role_id);
     response += `**ID:** ${config._id}\n`;
     response += `**Role:** ${role?.name || 'Deleted Role'}\n`;
+    response += `**Chain:** ${formatChain(config.chain_id)}\n`;
     response += `**Type:** ${config.token_type}\n`;
-    response += `**Contract:** \`${config.contract_address}\`\n`;
-    response += `**Min Balance:** ${config.min_balance}\n`;
+    if (config.token_type === 'NATIVE') {
+      response += `**Min Balance:** ${config.min_balance} ${getChain(config.chain_id)?.nativeSymbol || ''}\n`;
+    } else if (config.token_type === 'CUSTOM_CALL') {
+      response += `**Contract:** \`${config.contract_address}\`\n`;
+      response += `**Call:** \`${describeCustomCall(config.custom_call, config.min_balance)}\`\n`;
+    } else {
+      response += `**Contract:** \`${config.contract_address}\`\n`;
+      if (config.token_type !== 'LP' && (config.token_metadata?.name || config.token_metadata?.symbol)) {
+        response += `**Token:** ${describeTokenMetadata(config.token_metadata)}\n`;
+      }
+      response += `**Min Balance:** ${formatMinBalance(config)}\n`;
+    }
+    if (config.token_type === 'LP') {
+      response += `**Counted Token:** ${describeTokenMetadata(config.token_metadata || {}) || 'unnamed'} \`${config.lp_token}\`\n`;
+    }
+    if (config.denomination === 'USD') {
+      response += `**Price Feed:** \`${config.price_feed}\` (${config.price_source})\n`;
+    }
+    if (config.min_hold_days) {
+      response += `**Held For:** at least ${config.min_hold_days} day${config.min_hold_days > 1 ? 's' : ''}\n`;
+    }
     if (config.staking_contract) {
-      response += `**Staking:** \`${config.staking_contract}\`\n`;
+      const stakingName = stakingNames.get(config.staking_contract);
+      response += `**Staking:** \`${config.staking_contract}\`${stakingName ? ` (${stakingName})` : ''} via ${describeStakingAdapter(config.staking_adapter, config.staking_params)}\n`;
+    }
+    if (config.evaluation_mode === 'sum') {
+      response += `**Wallets:** Sum across all linked wallets\n`;
+    }
+    if (config.check_error) {
+      response += `⚠️ **Check failing:** ${config.check_error} (<t:${Math.floor(config.check_error_at / 1000)}:R>) - roles it decides are left as they are until it is fixed\n`;
     }
     response += `\n`;
   });
 
-  await interaction.reply({ content: response, ephemeral: true });
+  const roleRules = await db.getRoleRules(interaction.guild.id);
+  if (roleRules.length > 0) {
+    response += `**Role Rules:**\n`;
+    roleRules.forEach(roleRule => {
+      const role = interaction.guild.roles.cache.get(roleRule.role_id);
+      response += `**${role?.name || 'Deleted Role'}:** \`${formatRule(roleRule.rule, shortConfigId)}\`\n`;
+    });
+  }
+
+  const tierGroups = await db.getTierGroups(interaction.guild.id);
+  if (tierGroups.length > 0) {
+    const roleGroupsById = new Map(groupConfigsByRole(roleConfigs, roleRules).map(roleGroup => [roleGroup.roleId, roleGroup]));
+
+    response += `\n**Tier Groups:**\n`;
+    tierGroups.forEach(tierGroup => {
+      const mode = tierGroup.mode === 'highest' ? 'highest tier only' : 'every qualifying tier';
+      response += `**${tierGroup.name}** (${mode}): ${formatTierLadder(interaction.guild, tierGroup, roleGroupsById)}\n`;
+    });
+  }
+
+  await editReplyInChunks(interaction, response);
 }
 
 /**
- * Handle /removerole command (Admin only)
+ * Token name and symbol from a config's token_metadata, e.g. "Obeez (OBZ)"
  */
-async function handleRemoveRole(interaction) {
-  const configId = interaction.options.getString('id');
+function describeTokenMetadata(metadata) {
+  if (metadata.name && metadata.symbol) return `${metadata.name} (${metadata.symbol})`;
+  return metadata.name || metadata.symbol;
+}
 
-  try {
-    db.deleteRoleConfig(configId);
-    await interaction.reply({
-      content: `Role configuration ID ${configId} removed successfully.`,
-      ephemeral: true
-    });
+/**
+ * A config's minimum, e.g. "10,000 OBZ", "$500", "2 of token #5" for ERC1155 or "5,000 OBZ in liquidity" for LP
+ */
+function formatMinBalance(config) {
+  if (config.denomination === 'USD') {
+    return `$${config.min_balance}`;
+  }
+
+  const symbol = config.token_metadata?.symbol;
+  if (config.token_type === 'LP') {
+    return `${formatTokenAmount(config.min_balance, symbol)} ${config.lp_include_wallet ? 'held incl. liquidity' : 'in liquidity'}`;
+  }
+  if (config.traits?.length) {
+    const tokenIds = config.token_ids?.length ? ` of token IDs ${formatTokenIds(config.token_ids)}` : '';
+    return `${formatTokenAmount(config.min_balance, symbol)}${tokenIds} with \`${describeTraitConditions(config.traits)}\``;
+  }
+  if (config.token_type === 'ERC1155') {
+    if (!config.token_ids?.length) {
+      return `⚠️ unreadable legacy min balance \`${config.min_balance}\` - remove and re-add this config`;
+    }
+
+    const amount = formatTokenAmount(config.min_balance, symbol);
+    if (countTokenIds(config.token_ids) === 1n) {
+      return `${amount} of token #${config.token_ids[0].from}`;
+    }
+
+    const ids = formatTokenIds(config.token_ids);
+    if (config.token_id_mode === 'all') return `${amount} of each of token IDs ${ids}`;
+    if (config.token_id_mode === 'sum') return `${amount} across token IDs ${ids}`;
+    return `${amount} of any one of token IDs ${ids}`;
+  }
+  if (config.token_ids?.length) {
+    return `${formatTokenAmount(config.min_balance, symbol)} of token IDs ${formatTokenIds(config.token_ids)}`;
+  }
+
+  return formatTokenAmount(config.min_balance, symbol);
+}
+
+/**
+ * One-line description of a role config, e.g. "ERC721 `0x1234...abcd` ≥ 1 (Avalanche C-Chain (43114))"
+ */
+function describeConfig(config) {
+  const chain = formatChain(config.chain_id);
+
+  if (config.token_type === 'NATIVE') {
+    const mode = config.evaluation_mode === 'sum' ? ', summed across wallets' : '';
+    return `NATIVE ≥ ${config.min_balance} ${getChain(config.chain_id)?.nativeSymbol || ''} (${chain}${mode})`;
+  }
+
+  const shortContract = `${config.contract_address.slice(0, 6)}...${config.contract_address.slice(-4)}`;
+
+  if (config.token_type === 'CUSTOM_CALL') {
+    const mode = config.evaluation_mode === 'sum' ? ', summed across wallets' : '';
+    return `\`${shortContract}\`.${describeCustomCall(config.custom_call, config.min_balance)} (${chain}${mode})`;
+  }
+
+  const staking = config.staking_contract ? ' + staked' : '';
+  const mode = config.evaluation_mode === 'sum' ? ', summed across wallets' : '';
+  const minBalance = formatMinBalance(config);
+  const held = config.min_hold_days ? ` held ${config.min_hold_days}d` : '';
+  return `${config.token_type} \`${shortContract}\` ≥ ${minBalance}${staking}${held} (${chain}${mode})`;
+}
+
+/**
+ * Handle /removerole command (Admin only)
+ */
+async function handleRemoveRole(interaction) {
+  const configId = interaction.options.getString('id');
+
+  try {
+    const config = await db.getRoleConfigById(configId).catch(() => null);
+    if (!config || config.guild_id !== interaction.guild.id) {
+      return interaction.reply({
+        content: `Role configuration ID ${configId} not found. Use \`/listroles\` to see IDs.`,
+        ephemeral: true
+      });
+    }
+
+    // Don't leave a role rule pointing at a deleted config
+    const roleRule = await db.getRoleRule(config.guild_id, config.role_id);
+    if (roleRule && getRuleConfigIds(roleRule.rule).has(String(config._id))) {
+      return interaction.reply({
+        content: `This configuration is used by the role's rule (\`${formatRule(roleRule.rule, shortConfigId)}\`). Update it with \`/setrule\` or remove it with \`/clearrule\` first.`,
+        ephemeral: true
+      });
+    }
+
+    await db.deleteRoleConfig(configId);
+
+    // The role is no longer gated - nobody needs their Safe claims for it
+    const remaining = await db.getRoleConfig(config.guild_id, config.role_id);
+    if (remaining.length === 0) {
+      await db.releaseRoleSafeClaims(config.guild_id, config.role_id);
+    }
+
+    await interaction.reply({
+      content: `Role configuration ID ${configId} removed successfully.`,
+      ephemeral: true
+    });
   } catch (error) {
     console.error('Error removing role config:', error);
     await interaction.reply({
@@ -279,6 +1084,381 @@ async function handleRemoveRole(interaction) {
   }
 }
 
+/**
+ * Handle /setrule command (Admin only)
+ * Builds a composite AND / OR / NOT rule over a role's configs
+ */
+async function handleSetRule(interaction) {
+  const role = interaction.options.getRole('role');
+  const expression = interaction.options.getString('expression');
+
+  const roleConfigs = await db.getRoleConfig(interaction.guild.id, role.id);
+  if (roleConfigs.length === 0) {
+    return interaction.reply({
+      content: `No token requirements configured for ${role.name}. Add them with \`/addrole\` first, then combine them with \`/setrule\`.`,
+      ephemeral: true
+    });
+  }
+
+  let rule;
+  try {
+    rule = parseRule(expression, createConfigIdResolver(roleConfigs));
+  } catch (error) {
+    return interaction.reply({
+      content: `Invalid rule: ${error.message}\n\nUse config IDs from \`/listroles\` (the last 6 characters are enough) with AND, OR, NOT and parentheses, e.g. \`(a1b2c3 OR d4e5f6) AND NOT 0718aa\``,
+      ephemeral: true
+    });
+  }
+
+  try {
+    const normalized = formatRule(rule, shortConfigId);
+    await db.setRoleRule(interaction.guild.id, role.id, rule, normalized);
+
+    const configsById = new Map(roleConfigs.map(config => [String(config._id), config]));
+    const referencedIds = getRuleConfigIds(rule);
+    const unused = roleConfigs.filter(config => !referencedIds.has(String(config._id)));
+
+    let response = `Rule saved for **${role.name}**: \`${normalized}\`\n\n`;
+    response += formatRuleTree(rule, id => `[${shortConfigId(id)}] ${describeConfig(configsById.get(id))}`);
+
+    if (unused.length > 0) {
+      response += `\n⚠️ Not used by the rule (ignored for this role): ${unused.map(config => `\`${shortConfigId(config._id)}\``).join(', ')}\n`;
+    }
+
+    await interaction.reply({ content: response, ephemeral: true });
+  } catch (error) {
+    console.error('Error saving role rule:', error);
+    await interaction.reply({
+      content: 'Error saving role rule. Please check the console logs.',
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Handle /showrule command (Admin only)
+ */
+async function handleShowRule(interaction) {
+  const role = interaction.options.getRole('role');
+
+  const roleConfigs = await db.getRoleConfig(interaction.guild.id, role.id);
+  const roleRule = await db.getRoleRule(interaction.guild.id, role.id);
+  const configsById = new Map(roleConfigs.map(config => [String(config._id), config]));
+  const label = id => {
+    const config = configsById.get(String(id));
+    return `[${shortConfigId(id)}] ${config ? describeConfig(config) : '⚠️ missing config'}`;
+  };
+
+  if (!roleRule) {
+    if (roleConfigs.length === 0) {
+      return interaction.reply({
+        content: `${role.name} is not token-gated.`,
+        ephemeral: true
+      });
+    }
+
+    let response = `**${role.name}** has no rule - any one of these grants the role:\n`;
+    roleConfigs.forEach(config => {
+      response += `- ${label(config._id)}\n`;
+    });
+
+    return interaction.reply({ content: response, ephemeral: true });
+  }
+
+  let response = `**Rule for ${role.name}:** \`${formatRule(roleRule.rule, shortConfigId)}\`\n\n`;
+  response += formatRuleTree(roleRule.rule, label);
+
+  await interaction.reply({ content: response, ephemeral: true });
+}
+
+/**
+ * Handle /clearrule command (Admin only)
+ */
+async function handleClearRule(interaction) {
+  const role = interaction.options.getRole('role');
+
+  const result = await db.deleteRoleRule(interaction.guild.id, role.id);
+  if (result.deletedCount === 0) {
+    return interaction.reply({
+      content: `${role.name} has no rule.`,
+      ephemeral: true
+    });
+  }
+
+  await interaction.reply({
+    content: `Rule removed for **${role.name}**. Any one of its configurations now grants the role.`,
+    ephemeral: true
+  });
+}
+
+/**
+ * A tier's requirement for ladders, e.g. "10,000 OBZ" or "3 requirements"
+ */
+function describeTierThreshold(roleGroup) {
+  if (!roleGroup) return 'no requirements';
+  if (roleGroup.rule) return 'rule';
+  if (roleGroup.configs.length === 1) return formatMinBalance(roleGroup.configs[0]);
+  return `${roleGroup.configs.length} requirements`;
+}
+
+/**
+ * A tier group's ladder, lowest first, e.g. "Bronze (1,000 OBZ) → Silver (10,000 OBZ) → Gold (100,000 OBZ)"
+ */
+function formatTierLadder(guild, tierGroup, roleGroupsById) {
+  return tierGroup.role_ids
+    .map(roleId => `${guild.roles.cache.get(roleId)?.name || 'Deleted Role'} (${describeTierThreshold(roleGroupsById.get(roleId))})`)
+    .join(' → ');
+}
+
+/**
+ * Handle /settiers command (Admin only)
+ * Creates or replaces a tier group: roles ordered lowest first
+ */
+async function handleSetTiers(interaction) {
+  const name = interaction.options.getString('name').trim();
+  const mode = interaction.options.getString('mode') || 'highest';
+  const roleIds = parseRoleList(interaction.options.getString('roles'));
+
+  if (!TIER_MODES.includes(mode)) {
+    return interaction.reply({
+      content: `Invalid mode. Use one of: ${TIER_MODES.join(', ')}`,
+      ephemeral: true
+    });
+  }
+
+  if (roleIds.length < 2) {
+    return interaction.reply({
+      content: 'List at least two roles, lowest tier first, e.g. `@Bronze @Silver @Gold`.',
+      ephemeral: true
+    });
+  }
+
+  const missingRole = roleIds.find(roleId => !interaction.guild.roles.cache.has(roleId));
+  if (missingRole) {
+    return interaction.reply({
+      content: `Role ${missingRole} was not found in this server.`,
+      ephemeral: true
+    });
+  }
+
+  const roleConfigs = await db.getRoleConfigs(interaction.guild.id);
+  const roleGroupsById = new Map(
+    groupConfigsByRole(roleConfigs, await db.getRoleRules(interaction.guild.id)).map(roleGroup => [roleGroup.roleId, roleGroup])
+  );
+  const roleName = roleId => interaction.guild.roles.cache.get(roleId).name;
+
+  const unconfigured = roleIds.find(roleId => !roleGroupsById.has(roleId));
+  if (unconfigured) {
+    return interaction.reply({
+      content: `${roleName(unconfigured)} has no token requirements yet. Add them with \`/addrole\` first.`,
+      ephemeral: true
+    });
+  }
+
+  // A role can only be on one ladder
+  const otherGroups = (await db.getTierGroups(interaction.guild.id)).filter(tierGroup => tierGroup.name !== name);
+  for (const tierGroup of otherGroups) {
+    const shared = roleIds.find(roleId => tierGroup.role_ids.includes(roleId));
+    if (shared) {
+      return interaction.reply({
+        content: `${roleName(shared)} is already in tier group **${tierGroup.name}**. Remove it there first.`,
+        ephemeral: true
+      });
+    }
+  }
+
+  let comparable;
+  try {
+    comparable = checkTierOrder(roleIds.map(roleId => ({ name: roleName(roleId), roleGroup: roleGroupsById.get(roleId) })));
+  } catch (error) {
+    return interaction.reply({
+      content: `Invalid tier order: ${error.message}`,
+      ephemeral: true
+    });
+  }
+
+  try {
+    const tierGroup = await db.setTierGroup(interaction.guild.id, name, roleIds, mode);
+
+    let response = `Tier group **${name}** saved:\n${formatTierLadder(interaction.guild, tierGroup, roleGroupsById)}\n\n`;
+    response += mode === 'highest'
+      ? 'Members only hold the highest tier they qualify for - lower tiers are removed at their next check (use `/reverify` to apply it now).\n'
+      : 'Members hold every tier they qualify for.\n';
+
+    if (!comparable) {
+      response += '\n⚠️ These tiers are not all gated on a single amount of the same token, so their order could not be checked - they are ranked in the order you listed them.\n';
+    }
+
+    await interaction.reply({ content: response, ephemeral: true });
+  } catch (error) {
+    console.error('Error saving tier group:', error);
+    await interaction.reply({
+      content: 'Error saving tier group. Please check the console logs.',
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Handle /cleartiers command (Admin only)
+ */
+async function handleClearTiers(interaction) {
+  const name = interaction.options.getString('name').trim();
+
+  const result = await db.deleteTierGroup(interaction.guild.id, name);
+  if (result.deletedCount === 0) {
+    return interaction.reply({
+      content: `There is no tier group named **${name}**.`,
+      ephemeral: true
+    });
+  }
+
+  await interaction.reply({
+    content: `Tier group **${name}** removed. Its roles are now granted independently.`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Drop a user's cached balances (linked wallets and Safes) so the next check reads fresh ones
+ */
+async function invalidateUserBalances(discordId, walletAddresses) {
+  const safes = await db.getLinkedSafes(discordId);
+
+  for (const wallet of walletAddresses) {
+    blockchainService.invalidateBalances({ wallet });
+  }
+  for (const safe of safes) {
+    blockchainService.invalidateBalances({ chainId: safe.chain_id, wallet: safe.safe_address });
+  }
+}
+
+/**
+ * Re-evaluate every role of a guild for one member and add/remove roles to match.
+ * Roles that could not be checked are left alone and a recheck is scheduled.
+ * @returns {Promise<{ added: string[], removed: string[], unknown: string[] }>} Role names
+ */
+async function updateMemberRoles(member, roleGroups, walletAddresses, reason) {
+  const changes = { added: [], removed: [], unknown: [] };
+  const guildId = member.guild.id;
+
+  for (const roleGroup of roleGroups) {
+    const role = member.guild.roles.cache.get(roleGroup.roleId);
+    if (!role) continue;
+
+    try {
+      // The role's rule decides, or ANY config met by ANY wallet
+      const evaluation = await evaluateRoleWithSafes(blockchainService, {
+        discordId: member.id,
+        guildId,
+        walletAddresses,
+        roleGroup
+      });
+
+      const hasRole = member.roles.cache.has(roleGroup.roleId);
+
+      if (evaluation.status === 'unknown') {
+        // Leave the role alone and let the verifier retry
+        db.logVerification(member.id, guildId, roleGroup.roleId, 'unknown', `${reason} - ${describeRoleEvaluation(evaluation)}`);
+        await db.scheduleRecheck(member.id);
+        changes.unknown.push(role.name);
+      } else if (evaluation.qualified && !hasRole) {
+        await member.roles.add(role);
+        db.logVerification(member.id, guildId, roleGroup.roleId, 'added', reason);
+        changes.added.push(role.name);
+      } else if (!evaluation.qualified && hasRole) {
+        await member.roles.remove(role);
+        const why = evaluation.supersededBy ? describeRoleEvaluation(evaluation) : `${describeRoleEvaluation(evaluation)} on all wallets`;
+        db.logVerification(member.id, guildId, roleGroup.roleId, 'removed', `${reason} - ${why}`);
+        changes.removed.push(role.name);
+      }
+    } catch (error) {
+      console.error(`Error checking user ${member.id}:`, error);
+      await db.scheduleRecheck(member.id);
+      changes.unknown.push(role.name);
+    }
+  }
+
+  return changes;
+}
+
+// /refresh bypasses the balance cache, so each user can run it once per this long
+const REFRESH_COOLDOWN_MS = 60 * 1000;
+
+// Discord user ID -> when they last ran /refresh
+const lastRefreshes = new Map();
+
+/**
+ * Handle /refresh command
+ * Drops the user's cached balances and re-checks their roles right away, e.g. just after
+ * they bought or moved tokens.
+ */
+async function handleRefresh(interaction) {
+  const wallets = await db.getWallets(interaction.user.id);
+
+  if (!wallets || wallets.length === 0) {
+    return interaction.reply({
+      content: 'You have not linked any wallets yet. Use `/linkwallet` to get started.',
+      ephemeral: true
+    });
+  }
+
+  const now = Date.now();
+  const lastRefresh = lastRefreshes.get(interaction.user.id);
+  if (lastRefresh && now - lastRefresh < REFRESH_COOLDOWN_MS) {
+    return interaction.reply({
+      content: `You just refreshed - try again <t:${Math.ceil((lastRefresh + REFRESH_COOLDOWN_MS) / 1000)}:R>.`,
+      ephemeral: true
+    });
+  }
+
+  // Forget expired entries so the map only holds users inside their cooldown
+  for (const [discordId, refreshedAt] of lastRefreshes) {
+    if (now - refreshedAt >= REFRESH_COOLDOWN_MS) lastRefreshes.delete(discordId);
+  }
+  lastRefreshes.set(interaction.user.id, now);
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const roleConfigs = await db.getRoleConfigs(interaction.guild.id);
+    if (roleConfigs.length === 0) {
+      return interaction.editReply({
+        content: 'No token-gated roles are configured in this server.'
+      });
+    }
+
+    const walletAddresses = wallets.map(wallet => wallet.wallet_address);
+    await invalidateUserBalances(interaction.user.id, walletAddresses);
+
+    const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(interaction.guild.id), await db.getTierGroups(interaction.guild.id));
+    const changes = await updateMemberRoles(interaction.member, roleGroups, walletAddresses, 'Manual refresh');
+    await db.updateLastChecked(interaction.user.id);
+
+    let response = `Balances refreshed for ${wallets.length} wallet${wallets.length > 1 ? 's' : ''}.\n`;
+    if (changes.added.length > 0) {
+      response += `\n**Roles Added:** ${changes.added.join(', ')}`;
+    }
+    if (changes.removed.length > 0) {
+      response += `\n**Roles Removed:** ${changes.removed.join(', ')}`;
+    }
+    if (changes.unknown.length > 0) {
+      response += `\n**Could Not Check (unchanged, retried automatically):** ${changes.unknown.join(', ')}`;
+    }
+    if (changes.added.length + changes.removed.length + changes.unknown.length === 0) {
+      response += '\nYour roles are already up to date.';
+    }
+
+    await interaction.editReply({ content: response });
+
+  } catch (error) {
+    console.error('Refresh error:', error);
+    await interaction.editReply({
+      content: 'An error occurred while refreshing your roles. Please try again later.'
+    });
+  }
+}
+
 /**
  * Handle /reverify command (Admin only)
  */
@@ -289,7 +1469,7 @@ async function handleReverify(interaction) {
 
   try {
     const usersToCheck = targetUser
-      ? [db.getUser(targetUser.id)].filter(Boolean)
+      ? [await db.getUser(targetUser.id)].filter(Boolean)
       : await db.getAllUsers();
 
     if (usersToCheck.length === 0) {
@@ -304,9 +1484,11 @@ async function handleReverify(interaction) {
         content: 'No token-gated roles configured.'
       });
     }
+    const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(interaction.guild.id), await db.getTierGroups(interaction.guild.id));
 
     let rolesAdded = 0;
     let rolesRemoved = 0;
+    let rolesUnknown = 0;
 
     for (const user of usersToCheck) {
       const member = await interaction.guild.members.fetch(user.discord_id).catch(() => null);
@@ -316,47 +1498,24 @@ async function handleReverify(interaction) {
       const userWallets = await db.getWallets(user.discord_id);
       if (userWallets.length === 0) continue;
 
-      for (const config of roleConfigs) {
-        try {
-          const role = interaction.guild.roles.cache.get(config.role_id);
-          if (!role) continue;
-
-          // Check if ANY wallet meets the requirements
-          let meetsRequirements = false;
-          for (const wallet of userWallets) {
-            try {
-              const result = await blockchainService.verifyTokenRequirements(wallet.wallet_address, config);
-              if (result.hasBalance) {
-                meetsRequirements = true;
-                break;
-              }
-            } catch (error) {
-              console.error(`Error checking wallet ${wallet.wallet_address}:`, error);
-            }
-          }
+      // A forced re-verification reads fresh balances
+      const walletAddresses = userWallets.map(wallet => wallet.wallet_address);
+      await invalidateUserBalances(user.discord_id, walletAddresses);
 
-          const hasRole = member.roles.cache.has(config.role_id);
-
-          if (meetsRequirements && !hasRole) {
-            await member.roles.add(role);
-            db.logVerification(user.discord_id, interaction.guild.id, config.role_id, 'added', 'Admin re-verification');
-            rolesAdded++;
-          } else if (!meetsRequirements && hasRole) {
-            await member.roles.remove(role);
-            db.logVerification(user.discord_id, interaction.guild.id, config.role_id, 'removed', 'Insufficient balance on all wallets');
-            rolesRemoved++;
-          }
-        } catch (error) {
-          console.error(`Error checking user ${user.discord_id}:`, error);
-        }
-      }
+      const changes = await updateMemberRoles(member, roleGroups, walletAddresses, 'Admin re-verification');
+      rolesAdded += changes.added.length;
+      rolesRemoved += changes.removed.length;
+      rolesUnknown += changes.unknown.length;
 
       db.updateLastChecked(user.discord_id);
     }
 
-    await interaction.editReply({
-      content: `Re-verification complete!\nRoles added: ${rolesAdded}\nRoles removed: ${rolesRemoved}`
-    });
+    let response = `Re-verification complete!\nRoles added: ${rolesAdded}\nRoles removed: ${rolesRemoved}`;
+    if (rolesUnknown > 0) {
+      response += `\nRoles that could not be checked (left unchanged, retried automatically): ${rolesUnknown}`;
+    }
+
+    await interaction.editReply({ content: response });
 
   } catch (error) {
     console.error('Re-verification error:', error);
@@ -366,6 +1525,221 @@ async function handleReverify(interaction) {
   }
 }
 
+/**
+ * Parse a snapshot time: unix seconds or anything Date understands
+ */
+function parseSnapshotTime(input) {
+  if (/^\d+$/.test(input.trim())) {
+    return Number(input.trim());
+  }
+
+  const time = Date.parse(input);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+/**
+ * Quote a value for a CSV cell
+ */
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Interaction tokens expire after 15 minutes - stop editing the reply a little before that
+const INTERACTION_REPLY_WINDOW_MS = 14 * 60 * 1000;
+
+// How often a long /snapshot edits its progress into the reply
+const SNAPSHOT_PROGRESS_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Send a finished /snapshot: as the reply while the interaction token is still valid,
+ * otherwise by DM to the admin who ran it
+ */
+async function deliverSnapshotResult(interaction, startedAt, message) {
+  if (Date.now() - startedAt < INTERACTION_REPLY_WINDOW_MS) {
+    return interaction.editReply(message);
+  }
+
+  try {
+    await interaction.user.send({ ...message, content: `${message.content}\n\n_Sent by DM - the snapshot took longer than Discord lets a command reply._` });
+  } catch (error) {
+    console.error(`Could not DM the snapshot result to ${interaction.user.id}:`, error);
+  }
+}
+
+/**
+ * Handle /snapshot command (Admin only)
+ * Evaluates every linked user of the guild at a historical block/time, exports the
+ * result as CSV and optionally grants the roles to everyone who qualified.
+ */
+async function handleSnapshot(interaction) {
+  const block = interaction.options.getInteger('block');
+  const timeInput = interaction.options.getString('timestamp');
+  const chainInput = interaction.options.getString('chain');
+  const targetRole = interaction.options.getRole('role');
+  const grant = interaction.options.getBoolean('grant') || false;
+
+  if ((block === null) === (timeInput === null)) {
+    return interaction.reply({
+      content: 'Give either a `block` or a `timestamp` to snapshot at.',
+      ephemeral: true
+    });
+  }
+
+  const chain = resolveChain(chainInput);
+  if (!chain) {
+    return interaction.reply({
+      content: `Unknown chain "${chainInput}".`,
+      ephemeral: true
+    });
+  }
+
+  const timestamp = timeInput !== null ? parseSnapshotTime(timeInput) : null;
+  if (timeInput !== null && (timestamp === null || timestamp * 1000 > Date.now())) {
+    return interaction.reply({
+      content: 'Invalid timestamp. Use unix seconds or a past date like `2024-06-01T00:00:00Z`.',
+      ephemeral: true
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+  const startedAt = Date.now();
+
+  try {
+    const roleConfigs = await db.getRoleConfigs(interaction.guild.id);
+
+    // Grouped before filtering, so a tier still sees the tiers above it
+    const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(interaction.guild.id), await db.getTierGroups(interaction.guild.id))
+      .filter(roleGroup => !targetRole || roleGroup.roleId === targetRole.id);
+
+    if (roleGroups.length === 0) {
+      return interaction.editReply({
+        content: 'No token-gated roles configured.'
+      });
+    }
+
+    const snapshotConfigs = [...roleGroups, ...roleGroups.flatMap(roleGroup => roleGroup.higherTiers)]
+      .flatMap(roleGroup => roleGroup.configs);
+
+    let snapshot;
+    try {
+      snapshot = await blockchainService.getSnapshotBlocks(
+        snapshotConfigs.map(config => config.chain_id || chain.id),
+        { chainId: chain.id, block: block ?? undefined, timestamp: timestamp ?? undefined }
+      );
+    } catch (error) {
+      return interaction.editReply({
+        content: `Could not resolve the snapshot block: ${error.message}`
+      });
+    }
+
+    const users = await db.getAllUsers();
+    const rows = [];
+    const qualifiedCounts = new Map();
+    let membersChecked = 0;
+    let rolesGranted = 0;
+
+    // Same chunked concurrency as the periodic verifier, so reads share Multicall3 batches
+    const concurrency = parseInt(process.env.VERIFICATION_CONCURRENCY) || 25;
+    let lastProgress = startedAt;
+
+    for (let i = 0; i < users.length; i += concurrency) {
+      const now = Date.now();
+      if (now - lastProgress >= SNAPSHOT_PROGRESS_INTERVAL_MS && now - startedAt < INTERACTION_REPLY_WINDOW_MS) {
+        lastProgress = now;
+        await interaction.editReply({
+          content: `Taking snapshot at ${describeSnapshot(snapshot)}... ${i}/${users.length} users checked`
+        }).catch(error => console.error('Could not update snapshot progress:', error));
+      }
+
+      await Promise.all(users.slice(i, i + concurrency).map(async user => {
+        const member = await interaction.guild.members.fetch(user.discord_id).catch(() => null);
+        if (!member) return;
+
+        const wallets = await db.getWallets(user.discord_id);
+        if (wallets.length === 0) return;
+
+        membersChecked++;
+        const walletAddresses = wallets.map(wallet => wallet.wallet_address);
+
+        for (const roleGroup of roleGroups) {
+          const role = interaction.guild.roles.cache.get(roleGroup.roleId);
+
+          try {
+            // Linked Safes count as in verification (read-only - claims are left as they are);
+            // only the highest qualifying tier of a "highest" tier group counts
+            const evaluation = await evaluateRoleWithSafes(blockchainService, {
+              discordId: user.discord_id,
+              guildId: interaction.guild.id,
+              walletAddresses,
+              roleGroup
+            }, { claim: false, blockTags: snapshot.blocks });
+
+            rows.push([
+              user.discord_id,
+              member.user.username,
+              roleGroup.roleId,
+              role?.name || 'Deleted Role',
+              evaluation.status === 'unknown' ? 'unknown' : evaluation.qualified,
+              walletAddresses.join(' '),
+              evaluation.qualified ? '' : describeRoleEvaluation(evaluation)
+            ]);
+
+            if (!evaluation.qualified) continue;
+
+            qualifiedCounts.set(roleGroup.roleId, (qualifiedCounts.get(roleGroup.roleId) || 0) + 1);
+
+            if (grant && role && !member.roles.cache.has(role.id)) {
+              await member.roles.add(role);
+              await db.logVerification(user.discord_id, interaction.guild.id, roleGroup.roleId, 'added', `Snapshot at ${describeSnapshot(snapshot)}`);
+              rolesGranted++;
+            }
+          } catch (error) {
+            console.error(`Error checking user ${user.discord_id} for snapshot:`, error);
+            rows.push([user.discord_id, member.user.username, roleGroup.roleId, role?.name || 'Deleted Role', 'error', walletAddresses.join(' '), error.message]);
+          }
+        }
+      }));
+    }
+
+    const header = ['discord_id', 'username', 'role_id', 'role_name', 'qualified', 'wallets', 'reason'];
+    const csv = [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+    const file = new AttachmentBuilder(Buffer.from(csv), {
+      name: `snapshot-${interaction.guild.id}-${snapshot.timestamp}.csv`
+    });
+
+    let response = `**Snapshot at ${describeSnapshot(snapshot)}**\n`;
+    response += `Time: <t:${snapshot.timestamp}:f>\n`;
+    response += `Members checked: ${membersChecked}\n\n`;
+
+    roleGroups.forEach(roleGroup => {
+      const role = interaction.guild.roles.cache.get(roleGroup.roleId);
+      response += `- ${role?.name || 'Deleted Role'}: ${qualifiedCounts.get(roleGroup.roleId) || 0} qualified\n`;
+    });
+
+    if (grant) {
+      response += `\nRoles granted: ${rolesGranted}`;
+    }
+
+    await deliverSnapshotResult(interaction, startedAt, { content: response, files: [file] });
+
+  } catch (error) {
+    console.error('Snapshot error:', error);
+    await deliverSnapshotResult(interaction, startedAt, {
+      content: 'An error occurred while taking the snapshot.'
+    });
+  }
+}
+
+/**
+ * Describe the snapshot blocks, e.g. "block 41234567 on Avalanche C-Chain (43114)"
+ */
+function describeSnapshot(snapshot) {
+  return Object.entries(snapshot.blocks)
+    .map(([chainId, block]) => `block ${block} on ${formatChain(chainId)}`)
+    .join(', ');
+}
+
 /**
  * Handle /wallets command
  */
@@ -379,94 +1753,116 @@ async function handleWallets(interaction) {
     });
   }
 
+  await interaction.deferReply({ ephemeral: true });
+
   let response = `**Your Linked Wallets (${wallets.length}):**\n\n`;
+  const names = await Promise.all(wallets.map(wallet => blockchainService.lookupName(wallet.wallet_address)));
 
   wallets.forEach((wallet, index) => {
     const isPrimary = wallet.is_primary ? ' ⭐ PRIMARY' : '';
-    response += `**${index + 1}.** \`${wallet.wallet_address}\`${isPrimary}\n`;
+    const name = names[index] ? ` - **${names[index]}**` : '';
+    response += `**${index + 1}.** \`${wallet.wallet_address}\`${name}${isPrimary}\n`;
     response += `   Verified: <t:${Math.floor(wallet.verified_at / 1000)}:R>\n\n`;
   });
 
+  // Cold wallets that delegated to a linked wallet (delegate.xyz) on the chains this server gates on
+  const roleConfigs = interaction.guild ? await db.getRoleConfigs(interaction.guild.id) : [];
+  const chainIds = [...new Set([DEFAULT_CHAIN_ID, ...roleConfigs.map(config => config.chain_id || DEFAULT_CHAIN_ID)])];
+  const delegated = [];
+
+  for (const chainId of chainIds) {
+    for (const wallet of wallets) {
+      const delegations = await blockchainService.getDelegations(wallet.wallet_address, { chainId });
+      delegations.forEach(delegation => delegated.push({ ...delegation, chainId }));
+    }
+  }
+
+  const safes = await db.getLinkedSafes(interaction.user.id);
+  if (safes.length > 0) {
+    response += `**Linked Safes (${safes.length}):**\n`;
+    safes.forEach(safe => {
+      response += `- \`${safe.safe_address}\` (${formatChain(safe.chain_id)}, ${safe.threshold} of ${safe.owner_count}, via \`${safe.owner_address.slice(0, 6)}...${safe.owner_address.slice(-4)}\`)\n`;
+    });
+    response += `\n`;
+  }
+
+  if (delegated.length > 0) {
+    response += `**Delegated Wallets (${delegated.length}):**\n`;
+    delegated.forEach(delegation => {
+      response += `- \`${delegation.vault}\` delegated → \`${delegation.delegate.slice(0, 6)}...${delegation.delegate.slice(-4)}\` `;
+      response += `(${describeDelegation(delegation)}, ${formatChain(delegation.chainId)})\n`;
+    });
+    response += `\n`;
+  }
+
   response += `\n*Use \`/removewallet\` to unlink a wallet*`;
 
-  await interaction.reply({ content: response, ephemeral: true });
+  await interaction.editReply({ content: response });
 }
 
 /**
  * Handle /removewallet command
  */
 async function handleRemoveWallet(interaction) {
-  const walletAddress = interaction.options.getString('wallet');
+  const walletInput = interaction.options.getString('wallet');
 
-  // Validate wallet address format
-  if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+  // Validate wallet format (names are resolved after deferring - the lookup can be slow)
+  if (!ADDRESS_PATTERN.test(walletInput.trim()) && !isName(walletInput)) {
     return interaction.reply({
-      content: 'Invalid wallet address format. Must be a valid Ethereum address (0x...)',
+      content: 'Invalid wallet. Enter a wallet address (0x...), a .avax name or an ENS name.',
       ephemeral: true
     });
   }
 
+  await interaction.deferReply({ ephemeral: true });
+
+  const wallet = await resolveWalletInput(walletInput);
+  if (wallet.error) {
+    return interaction.editReply({ content: wallet.error });
+  }
+  const walletAddress = wallet.address;
+
   const wallets = await db.getWallets(interaction.user.id);
   const walletExists = wallets.find(w => w.wallet_address.toLowerCase() === walletAddress.toLowerCase());
 
   if (!walletExists) {
-    return interaction.reply({
-      content: 'This wallet is not linked to your account.',
-      ephemeral: true
+    return interaction.editReply({
+      content: wallet.name
+        ? `\`${wallet.name}\` points to \`${walletAddress}\`, which is not linked to your account.`
+        : 'This wallet is not linked to your account.'
     });
   }
 
   // Prevent removing the last wallet
   if (wallets.length === 1) {
-    return interaction.reply({
-      content: 'You cannot remove your last wallet. You must have at least one wallet linked.',
-      ephemeral: true
+    return interaction.editReply({
+      content: 'You cannot remove your last wallet. You must have at least one wallet linked.'
     });
   }
 
-  await interaction.deferReply({ ephemeral: true });
-
   try {
-    db.removeWallet(interaction.user.id, walletAddress);
+    await db.removeWallet(interaction.user.id, walletAddress);
 
     // Trigger re-verification to update roles
     const roleConfigs = await db.getRoleConfigs(interaction.guild.id);
     let rolesUpdated = false;
 
     if (roleConfigs.length > 0) {
-      const member = interaction.member;
       const remainingWallets = await db.getWallets(interaction.user.id);
-
-      for (const config of roleConfigs) {
-        try {
-          // Check if ANY remaining wallet meets requirements
-          let meetsRequirements = false;
-          for (const wallet of remainingWallets) {
-            const result = await blockchainService.verifyTokenRequirements(wallet.wallet_address, config);
-            if (result.hasBalance) {
-              meetsRequirements = true;
-              break;
-            }
-          }
-
-          const hasRole = member.roles.cache.has(config.role_id);
-
-          // Remove role if no longer qualified
-          if (!meetsRequirements && hasRole) {
-            const role = interaction.guild.roles.cache.get(config.role_id);
-            if (role) {
-              await member.roles.remove(role);
-              db.logVerification(interaction.user.id, interaction.guild.id, config.role_id, 'removed', 'Wallet removed');
-              rolesUpdated = true;
-            }
-          }
-        } catch (error) {
-          console.error(`Error checking role ${config.role_id}:`, error);
-        }
-      }
+      const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(interaction.guild.id), await db.getTierGroups(interaction.guild.id));
+
+      // Re-evaluate every role against the remaining wallets - losing a higher tier can mean a lower one applies again
+      const changes = await updateMemberRoles(
+        interaction.member,
+        roleGroups,
+        remainingWallets.map(wallet => wallet.wallet_address),
+        'Wallet removed'
+      );
+      rolesUpdated = changes.added.length + changes.removed.length > 0;
     }
 
-    let response = `Wallet \`${walletAddress}\` has been removed from your account.\n`;
+    const walletLabel = wallet.name ? `${wallet.name} (\`${walletAddress}\`)` : `\`${walletAddress}\``;
+    let response = `Wallet ${walletLabel} has been removed from your account.\n`;
     response += `You now have ${wallets.length - 1} wallet${wallets.length - 1 > 1 ? 's' : ''} linked.`;
 
     if (rolesUpdated) {
@@ -483,6 +1879,113 @@ async function handleRemoveWallet(interaction) {
   }
 }
 
+/**
+ * Handle /linksafe command
+ * Links a Safe whose owners include one of the user's linked wallets
+ */
+async function handleLinkSafe(interaction) {
+  const safeAddress = interaction.options.getString('safe');
+  const chainInput = interaction.options.getString('chain');
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(safeAddress)) {
+    return interaction.reply({
+      content: 'Invalid Safe address format. Must be a valid Ethereum address (0x...)',
+      ephemeral: true
+    });
+  }
+
+  const chain = resolveChain(chainInput);
+  if (!chain) {
+    return interaction.reply({
+      content: `Unknown chain "${chainInput}".`,
+      ephemeral: true
+    });
+  }
+
+  const wallets = await db.getWallets(interaction.user.id);
+  if (wallets.length === 0) {
+    return interaction.reply({
+      content: 'Link one of the Safe\'s owner wallets first with `/linkwallet` or `/verify`.',
+      ephemeral: true
+    });
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    let safeInfo;
+    try {
+      safeInfo = await blockchainService.getSafeInfo(safeAddress, { chainId: chain.id });
+    } catch (error) {
+      return interaction.editReply({
+        content: `\`${safeAddress}\` is not a Safe on ${formatChain(chain.id)}.`
+      });
+    }
+
+    const owner = wallets.find(wallet => safeInfo.owners.includes(wallet.wallet_address.toLowerCase()));
+    if (!owner) {
+      return interaction.editReply({
+        content: `None of your linked wallets is an owner of this Safe. Link an owner wallet first, then try again.`
+      });
+    }
+
+    await db.linkSafe(interaction.user.id, safeAddress, chain.id, {
+      ownerAddress: owner.wallet_address,
+      threshold: safeInfo.threshold,
+      ownerCount: safeInfo.owners.length
+    });
+
+    let response = `Safe \`${safeAddress}\` linked!\n\n`;
+    response += `**Chain:** ${formatChain(chain.id)}\n`;
+    response += `**Owners:** ${safeInfo.threshold} of ${safeInfo.owners.length} required to sign\n`;
+    response += `**Your owner wallet:** \`${owner.wallet_address}\`\n\n`;
+    response += `Its holdings now count towards your roles on this chain. If another co-owner already relies on this Safe for a role, it won't count for you for that role.`;
+
+    await interaction.editReply({ content: response });
+  } catch (error) {
+    console.error('Error linking Safe:', error);
+    await interaction.editReply({
+      content: 'An error occurred while linking the Safe. Please try again later.'
+    });
+  }
+}
+
+/**
+ * Handle /unlinksafe command
+ */
+async function handleUnlinkSafe(interaction) {
+  const safeAddress = interaction.options.getString('safe');
+
+  if (!/^0x[a-fA-F0-9]{40}$/.test(safeAddress)) {
+    return interaction.reply({
+      content: 'Invalid Safe address format. Must be a valid Ethereum address (0x...)',
+      ephemeral: true
+    });
+  }
+
+  try {
+    const result = await db.unlinkSafe(interaction.user.id, safeAddress);
+
+    if (result.deletedCount === 0) {
+      return interaction.reply({
+        content: `Safe \`${safeAddress}\` is not linked to your account.`,
+        ephemeral: true
+      });
+    }
+
+    await interaction.reply({
+      content: `Safe \`${safeAddress}\` unlinked. Roles that depended on it will be updated at the next verification.`,
+      ephemeral: true
+    });
+  } catch (error) {
+    console.error('Error unlinking Safe:', error);
+    await interaction.reply({
+      content: 'An error occurred while unlinking the Safe. Please try again later.',
+      ephemeral: true
+    });
+  }
+}
+
 /**
  * Handle /blazeuser command - set or update Blaze username
  */
@@ -555,9 +2058,18 @@ module.exports = {
   handleStatus,
   handleWallets,
   handleRemoveWallet,
+  handleLinkSafe,
+  handleUnlinkSafe,
+  handleRefresh,
   handleAddRole,
   handleListRoles,
   handleRemoveRole,
+  handleSetRule,
+  handleShowRule,
+  handleClearRule,
+  handleSetTiers,
+  handleClearTiers,
   handleReverify,
+  handleSnapshot,
   handleBlazeUser
 };
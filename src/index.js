@@ -9,9 +9,11 @@ const db = require('./database-mongo');
 const commands = require('./commands');
 const handlers = require('./handlers');
 const VerificationService = require('./verifier');
+const TransferWatcher = require('./transfer-watcher');
 const oauth = require('./oauth');
 const api = require('./api');
 const blazeApi = require('./blaze-api');
+const { getRpcStats } = require('./rpc-pool');
 
 // Validate required environment variables
 const requiredEnvVars = ['DISCORD_TOKEN', 'DISCORD_CLIENT_ID', 'AVALANCHE_RPC_URL', 'MONGODB_URI'];
@@ -80,6 +82,18 @@ client.on('interactionCreate', async interaction => {
         await handlers.handleRemoveWallet(interaction);
         break;
 
+      case 'linksafe':
+        await handlers.handleLinkSafe(interaction);
+        break;
+
+      case 'unlinksafe':
+        await handlers.handleUnlinkSafe(interaction);
+        break;
+
+      case 'refresh':
+        await handlers.handleRefresh(interaction);
+        break;
+
       case 'addrole':
         await handlers.handleAddRole(interaction);
         break;
@@ -92,10 +106,34 @@ client.on('interactionCreate', async interaction => {
         await handlers.handleRemoveRole(interaction);
         break;
 
+      case 'setrule':
+        await handlers.handleSetRule(interaction);
+        break;
+
+      case 'showrule':
+        await handlers.handleShowRule(interaction);
+        break;
+
+      case 'clearrule':
+        await handlers.handleClearRule(interaction);
+        break;
+
+      case 'settiers':
+        await handlers.handleSetTiers(interaction);
+        break;
+
+      case 'cleartiers':
+        await handlers.handleClearTiers(interaction);
+        break;
+
       case 'reverify':
         await handlers.handleReverify(interaction);
         break;
 
+      case 'snapshot':
+        await handlers.handleSnapshot(interaction);
+        break;
+
       case 'blazeuser':
         await handlers.handleBlazeUser(interaction);
         break;
@@ -138,12 +176,29 @@ client.on('ready', () => {
 
   // Start verification service
   const verificationInterval = parseInt(process.env.VERIFICATION_INTERVAL_HOURS) || 24;
-  const verifier = new VerificationService(client, process.env.AVALANCHE_RPC_URL);
+  const verifier = new VerificationService(client);
   verifier.start(verificationInterval);
 
+  // Re-verify holders within seconds of a token transfer (TRANSFER_WATCHER_ENABLED=false to turn off)
+  if (process.env.TRANSFER_WATCHER_ENABLED !== 'false') {
+    const watcher = new TransferWatcher(verifier);
+    watcher.start();
+  }
+
   console.log('Bot is ready!');
 });
 
+// A member who leaves, or a deleted role, no longer needs their Safe claims - free them for co-owners
+client.on('guildMemberRemove', member => {
+  db.releaseMemberSafeClaims(member.guild.id, member.id)
+    .catch(error => console.error(`Error releasing Safe claims of ${member.id}:`, error));
+});
+
+client.on('roleDelete', role => {
+  db.releaseRoleSafeClaims(role.guild.id, role.id)
+    .catch(error => console.error(`Error releasing Safe claims for role ${role.id}:`, error));
+});
+
 // Handle errors
 client.on('error', error => {
   console.error('Discord client error:', error);
@@ -209,7 +264,8 @@ app.get('/api/status', (req, res) => {
     status: 'online',
     bot: client.user?.tag || 'Not connected',
     guilds: client.guilds.cache.size,
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    rpc: getRpcStats()
   });
 });
 
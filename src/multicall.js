@@ -0,0 +1,140 @@
+const { ethers } = require('ethers');
+
+// Multicall3 is deployed at the same address on nearly every EVM chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * Contract runner that batches eth_call requests into Multicall3 aggregate3 calls.
+ *
+ * Pass it to `new ethers.Contract(address, abi, batcher)` in place of a provider:
+ * every read issued within the same short window is queued and sent as a single
+ * aggregate3 call (per block tag). Each call is sent with allowFailure, so one
+ * reverting contract only rejects its own promise instead of the whole batch.
+ */
+class MulticallBatcher {
+  /**
+   * @param {ethers.Provider} provider - Provider used to send the aggregated calls
+   * @param {object} [options]
+   * @param {string} [options.address] - Multicall3 address on this chain
+   * @param {number} [options.maxCalls] - Max calls per aggregate3 request
+   * @param {number} [options.batchDelay] - How long (ms) to wait for more calls before flushing
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.address = options.address || MULTICALL3_ADDRESS;
+    this.maxCalls = options.maxCalls || 200;
+    this.batchDelay = options.batchDelay ?? 10;
+    this.queues = new Map(); // blockTag -> pending calls
+    this.timer = null;
+  }
+
+  /**
+   * ContractRunner interface - queue a read-only call
+   */
+  async call(tx) {
+    // Only plain reads can go through Multicall3
+    if (!tx.to || !tx.data || tx.from || tx.value) {
+      return this.provider.call(tx);
+    }
+
+    const blockTag = tx.blockTag ?? 'latest';
+    const key = String(blockTag);
+
+    return new Promise((resolve, reject) => {
+      if (!this.queues.has(key)) {
+        this.queues.set(key, { blockTag, calls: [] });
+      }
+
+      const queue = this.queues.get(key);
+      queue.calls.push({ tx, resolve, reject });
+
+      if (queue.calls.length >= this.maxCalls) {
+        this.queues.delete(key);
+        this.sendBatch(queue.blockTag, queue.calls);
+      } else if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.batchDelay);
+      }
+    });
+  }
+
+  /**
+   * Send everything that is currently queued
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const queues = [...this.queues.values()];
+    this.queues.clear();
+
+    for (const { blockTag, calls } of queues) {
+      this.sendBatch(blockTag, calls);
+    }
+  }
+
+  /**
+   * Send one aggregate3 request and settle each queued call from its own result
+   */
+  async sendBatch(blockTag, calls) {
+    // A single call gains nothing from Multicall3
+    if (calls.length === 1) {
+      return this.sendIndividually(blockTag, calls);
+    }
+
+    let results;
+    try {
+      const data = multicallInterface.encodeFunctionData('aggregate3', [
+        calls.map(({ tx }) => [tx.to, true, tx.data])
+      ]);
+      const raw = await this.provider.call({ to: this.address, data, blockTag });
+      [results] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+    } catch (error) {
+      // Multicall3 missing on this chain or the batch itself failed - isolate every call
+      console.warn(`Multicall3 batch of ${calls.length} calls failed, retrying individually: ${error.message}`);
+      return this.sendIndividually(blockTag, calls);
+    }
+
+    results.forEach(({ success, returnData }, index) => {
+      const { tx, resolve, reject } = calls[index];
+
+      if (success) {
+        resolve(returnData);
+      } else {
+        reject(ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+          action: 'call',
+          data: returnData,
+          reason: null,
+          transaction: { to: tx.to, data: tx.data },
+          invocation: null,
+          revert: null
+        }));
+      }
+    });
+  }
+
+  /**
+   * Fallback: send each call on its own
+   */
+  async sendIndividually(blockTag, calls) {
+    await Promise.all(calls.map(async ({ tx, resolve, reject }) => {
+      try {
+        resolve(await this.provider.call({ ...tx, blockTag }));
+      } catch (error) {
+        reject(error);
+      }
+    }));
+  }
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
+  MulticallBatcher
+};
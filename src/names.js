@@ -0,0 +1,104 @@
+const { ethers } = require('ethers');
+
+/**
+ * Wallet names - Avvy Domains (.avax) on Avalanche and ENS on Ethereum.
+ *
+ * Users can type a name wherever a wallet address is asked for, and linked wallets are
+ * shown with their primary name. Lookups go through BlockchainService.resolveName() and
+ * lookupName(), which cache them.
+ */
+
+// Avvy Domains ResolutionUtilsV2 on Avalanche C-Chain (AVVY_RESOLVER_ADDRESS overrides it)
+const AVVY_RESOLUTION_UTILS_ADDRESS = '0x1ea4e7A798557001b99D88D6b4ba7F7fc79406A9';
+
+const AVVY_RESOLUTION_UTILS_ABI = [
+  'function resolveStandard(string name, uint256 key) view returns (string)',
+  'function reverseResolveEVMToName(address addy) view returns (string)'
+];
+
+// Avvy standard record key for the name's EVM address
+const AVVY_EVM_RECORD = 3;
+
+// Where each naming service lives
+const AVVY_CHAIN_ID = 43114;
+const ENS_CHAIN_ID = 1;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+// label(s) plus a TLD, e.g. "obeez.avax", "vitalik.eth", "sub.name.eth"
+const NAME_PATTERN = /^([a-z0-9-_]+\.)+[a-z]{2,}$/i;
+
+function getAvvyResolverAddress() {
+  return process.env.AVVY_RESOLVER_ADDRESS || AVVY_RESOLUTION_UTILS_ADDRESS;
+}
+
+/**
+ * Whether user input is a name (rather than a 0x address)
+ */
+function isName(input) {
+  return NAME_PATTERN.test(input.trim());
+}
+
+/**
+ * Which naming service a name belongs to: 'avvy' for .avax, 'ens' for everything else
+ */
+function getNameService(name) {
+  return name.toLowerCase().endsWith('.avax') ? 'avvy' : 'ens';
+}
+
+/**
+ * Resolve a .avax name to its EVM address, or null if it has none
+ */
+async function resolveAvvyName(runner, name) {
+  const resolver = new ethers.Contract(getAvvyResolverAddress(), AVVY_RESOLUTION_UTILS_ABI, runner);
+
+  try {
+    const value = await resolver.resolveStandard(name.toLowerCase(), AVVY_EVM_RECORD);
+    return ethers.isAddress(value) ? ethers.getAddress(value) : null;
+  } catch (error) {
+    // Unregistered names and names without an EVM record revert
+    if (error.code === 'CALL_EXCEPTION') return null;
+    throw error;
+  }
+}
+
+/**
+ * The .avax name an address set as its reverse record, or null
+ */
+async function lookupAvvyName(runner, address) {
+  const resolver = new ethers.Contract(getAvvyResolverAddress(), AVVY_RESOLUTION_UTILS_ABI, runner);
+
+  try {
+    const name = await resolver.reverseResolveEVMToName(address);
+    return name || null;
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') return null;
+    throw error;
+  }
+}
+
+/**
+ * Short form of an address, e.g. "0x1234...abcd"
+ */
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+/**
+ * Address for display, with its name if it has one, e.g. "obeez.avax (`0x1234...abcd`)"
+ */
+function formatAddressWithName(address, name) {
+  return name ? `**${name}** (\`${shortAddress(address)}\`)` : `\`${shortAddress(address)}\``;
+}
+
+module.exports = {
+  AVVY_RESOLUTION_UTILS_ADDRESS,
+  AVVY_CHAIN_ID,
+  ENS_CHAIN_ID,
+  ADDRESS_PATTERN,
+  isName,
+  getNameService,
+  resolveAvvyName,
+  lookupAvvyName,
+  shortAddress,
+  formatAddressWithName
+};
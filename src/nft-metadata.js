@@ -0,0 +1,355 @@
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+const db = require('./database-mongo');
+
+/**
+ * NFT metadata and trait conditions - for roles like "Obeez with a Legendary background".
+ *
+ * Token metadata is read from tokenURI (ERC721) / uri (ERC1155), fetched over HTTP(S)
+ * (ipfs:// and ar:// URIs go through a gateway, data: URIs are decoded in place) and kept in
+ * the nft_metadata collection, so each token is only fetched again once it is stale.
+ *
+ * Token URIs are set by whoever deployed the contract, so fetches only go to public addresses -
+ * except the hosts of IPFS_GATEWAY, ARWEAVE_GATEWAY and METADATA_REWRITES, which the operator
+ * chose. For local testing, those can point every fetch at a local HTTP server that stands in
+ * for the real metadata hosts.
+ */
+
+const DEFAULT_IPFS_GATEWAY = 'https://ipfs.io';
+const DEFAULT_ARWEAVE_GATEWAY = 'https://arweave.net';
+const DEFAULT_TIMEOUT_MS = 10000;
+// Metadata is re-fetched after this long (reveals and trait updates are rare)
+const DEFAULT_CACHE_HOURS = 7 * 24;
+// Metadata documents larger than this are refused
+const MAX_METADATA_BYTES = 1024 * 1024;
+// Redirects followed per metadata fetch (each hop is checked like the first URL)
+const MAX_REDIRECTS = 5;
+// Metadata fetches running at once per getTokenAttributes() call
+const DEFAULT_CONCURRENCY = 8;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges - not fetched from token URIs
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Trait operators, longest first so ">=" isn't read as ">"
+const TRAIT_OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+
+/**
+ * URL prefix rewrites from METADATA_REWRITES, e.g. {"https://api.obeez.io/": "http://localhost:8080/"}
+ */
+function getRewrites() {
+  if (!process.env.METADATA_REWRITES) return [];
+
+  try {
+    return Object.entries(JSON.parse(process.env.METADATA_REWRITES));
+  } catch (error) {
+    console.error('Invalid METADATA_REWRITES (expected a JSON object):', error.message);
+    return [];
+  }
+}
+
+/**
+ * Whether an IP address is outside the public internet (IPv4-mapped IPv6 is checked as IPv4)
+ */
+function isNonPublicAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return NON_PUBLIC_ADDRESSES.check(mapped[1], 'ipv4');
+  return NON_PUBLIC_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Hosts the operator configured - the gateways and METADATA_REWRITES targets - which may be private
+ */
+function getTrustedHosts() {
+  const urls = [
+    process.env.IPFS_GATEWAY || DEFAULT_IPFS_GATEWAY,
+    process.env.ARWEAVE_GATEWAY || DEFAULT_ARWEAVE_GATEWAY,
+    ...getRewrites().map(([, to]) => to)
+  ];
+
+  const hosts = new Set();
+  for (const url of urls) {
+    try {
+      hosts.add(new URL(url).host.toLowerCase());
+    } catch (error) {
+      // Not a URL - nothing to trust
+    }
+  }
+  return hosts;
+}
+
+/**
+ * DNS lookup for metadata fetches that refuses hosts resolving to a non-public address.
+ * Passed to axios, so the address actually connected to is the one checked.
+ */
+async function publicOnlyLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isNonPublicAddress(address));
+  if (blocked) {
+    throw new Error(`Metadata host ${hostname} resolves to a non-public address (${blocked.address})`);
+  }
+  return addresses;
+}
+
+/**
+ * Turn a token URI into a URL that can be fetched (or a data: URI):
+ * fills in the ERC1155 {id}, sends ipfs:// and ar:// through a gateway, then applies METADATA_REWRITES
+ */
+function resolveMetadataUrl(uri, tokenId) {
+  let url = uri.trim();
+
+  // ERC1155: {id} is the token ID as 64 lowercase hex characters
+  if (url.includes('{id}')) {
+    url = url.replace(/\{id\}/g, BigInt(tokenId).toString(16).padStart(64, '0'));
+  }
+
+  const ipfsGateway = (process.env.IPFS_GATEWAY || DEFAULT_IPFS_GATEWAY).replace(/\/+$/, '');
+  if (url.startsWith('ipfs://')) {
+    url = `${ipfsGateway}/ipfs/${url.slice('ipfs://'.length).replace(/^ipfs\//, '')}`;
+  } else if (url.startsWith('ar://')) {
+    url = `${(process.env.ARWEAVE_GATEWAY || DEFAULT_ARWEAVE_GATEWAY).replace(/\/+$/, '')}/${url.slice('ar://'.length)}`;
+  } else if (/^https?:\/\/[^/]+\/ipfs\//.test(url) && process.env.IPFS_GATEWAY) {
+    // Pinned to some public gateway - use ours instead
+    url = url.replace(/^https?:\/\/[^/]+\/ipfs\//, `${ipfsGateway}/ipfs/`);
+  }
+
+  for (const [from, to] of getRewrites()) {
+    if (url.startsWith(from)) {
+      url = to + url.slice(from.length);
+      break;
+    }
+  }
+
+  return url;
+}
+
+/**
+ * Fetch and parse a metadata document
+ */
+async function fetchMetadata(url) {
+  const inline = url.match(/^data:application\/json(;base64|;utf8|;charset=[^,;]+)*,(.*)$/s);
+  if (inline) {
+    const body = inline[1]?.includes('base64')
+      ? Buffer.from(inline[2], 'base64').toString('utf8')
+      : decodeURIComponent(inline[2]);
+    return JSON.parse(body);
+  }
+
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error(`Unsupported metadata URI: ${url.slice(0, 80)}`);
+  }
+
+  const trustedHosts = getTrustedHosts();
+  let response;
+
+  // Redirects are followed here rather than by axios, so every hop gets the same host check
+  for (let redirects = 0; ; redirects++) {
+    const { host, hostname } = new URL(url);
+    const trusted = trustedHosts.has(host.toLowerCase());
+    const literal = hostname.replace(/^\[|\]$/g, '');
+
+    // IP literals skip the DNS lookup, so check them directly
+    if (!trusted && net.isIP(literal) && isNonPublicAddress(literal)) {
+      throw new Error(`Metadata URL ${url.slice(0, 80)} points at a non-public address`);
+    }
+
+    response = await axios.get(url, {
+      timeout: parseInt(process.env.METADATA_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+      maxContentLength: MAX_METADATA_BYTES,
+      responseType: 'json',
+      maxRedirects: 0,
+      validateStatus: status => status >= 200 && status < 400,
+      ...(trusted ? {} : { lookup: publicOnlyLookup })
+    });
+
+    if (response.status < 300) break;
+
+    if (!response.headers.location || redirects >= MAX_REDIRECTS) {
+      throw new Error(`Metadata at ${url.slice(0, 80)} redirects ${response.headers.location ? 'too many times' : 'without a location'}`);
+    }
+    url = new URL(response.headers.location, url).toString();
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`Metadata redirects to an unsupported URL: ${url.slice(0, 80)}`);
+    }
+  }
+
+  const metadata = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  if (!metadata || typeof metadata !== 'object') {
+    throw new Error(`Metadata at ${url} is not a JSON object`);
+  }
+  return metadata;
+}
+
+/**
+ * Attributes of a metadata document as [{ trait_type, value }].
+ * Reads the usual "attributes" array, or a "properties" object ({ name: value } or { name: { value } }).
+ */
+function getAttributes(metadata) {
+  if (Array.isArray(metadata.attributes)) {
+    return metadata.attributes
+      .filter(attribute => attribute && attribute.trait_type !== undefined)
+      .map(attribute => ({ trait_type: String(attribute.trait_type), value: attribute.value }));
+  }
+
+  if (metadata.properties && typeof metadata.properties === 'object') {
+    return Object.entries(metadata.properties).map(([traitType, value]) => ({
+      trait_type: traitType,
+      value: value && typeof value === 'object' && 'value' in value ? value.value : value
+    }));
+  }
+
+  return [];
+}
+
+/**
+ * Parse trait conditions like "Background=Legendary; Rarity=Gold|Platinum; Level>=5".
+ * All conditions must hold for one token; "|" lists alternatives for = and !=.
+ * @returns {Array<{ trait: string, operator: string, values: string[] }>}
+ */
+function parseTraitConditions(input) {
+  const parts = input.split(';').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error('List at least one trait condition, e.g. "Background=Legendary"');
+  }
+
+  return parts.map(part => {
+    const operator = TRAIT_OPERATORS.find(op => part.includes(op));
+    if (!operator) {
+      throw new Error(`"${part}" has no operator - use =, !=, >, >=, < or <=`);
+    }
+
+    const index = part.indexOf(operator);
+    const trait = part.slice(0, index).trim();
+    const values = part.slice(index + operator.length).split('|').map(value => value.trim()).filter(Boolean);
+
+    if (!trait || values.length === 0) {
+      throw new Error(`"${part}" needs a trait name and a value, e.g. "Background=Legendary"`);
+    }
+
+    if (['>', '>=', '<', '<='].includes(operator)) {
+      if (values.length > 1 || Number.isNaN(Number(values[0]))) {
+        throw new Error(`"${part}" compares with ${operator}, so it needs a single number`);
+      }
+    }
+
+    return { trait, operator, values };
+  });
+}
+
+/**
+ * Whether one attribute value meets a condition (trait names and text values ignore case)
+ */
+function matchesCondition(value, condition) {
+  if (value === undefined) {
+    // A missing trait only satisfies "not equal"
+    return condition.operator === '!=';
+  }
+
+  const text = String(value).toLowerCase();
+  const number = Number(value);
+  const target = Number(condition.values[0]);
+
+  switch (condition.operator) {
+    case '=': return condition.values.some(expected => expected.toLowerCase() === text);
+    case '!=': return condition.values.every(expected => expected.toLowerCase() !== text);
+    case '>': return number > target;
+    case '>=': return number >= target;
+    case '<': return number < target;
+    case '<=': return number <= target;
+    default: return false;
+  }
+}
+
+/**
+ * Whether a token's attributes meet every condition
+ */
+function matchTraits(attributes, conditions) {
+  return conditions.every(condition => {
+    const attribute = attributes.find(candidate => candidate.trait_type.toLowerCase() === condition.trait.toLowerCase());
+    return matchesCondition(attribute?.value, condition);
+  });
+}
+
+/**
+ * Conditions as admins write them, e.g. "Background=Legendary; Level>=5"
+ */
+function describeTraitConditions(conditions) {
+  return conditions.map(condition => `${condition.trait}${condition.operator}${condition.values.join('|')}`).join('; ');
+}
+
+/**
+ * Attributes of a contract's tokens, from the nft_metadata cache or fetched if missing or stale.
+ * Tokens whose metadata could not be read are left out and counted in `failed`.
+ * @param {(tokenId: bigint) => Promise<string>} readUri - Reads tokenURI / uri for a token
+ * @returns {Promise<{ attributes: Map<string, object[]>, failed: number }>} Token ID -> attributes
+ */
+async function getTokenAttributes(chainId, contractAddress, tokenIds, readUri) {
+  const maxAge = (parseInt(process.env.METADATA_CACHE_HOURS) || DEFAULT_CACHE_HOURS) * 60 * 60 * 1000;
+  const cached = await db.getNftMetadata(chainId, contractAddress, tokenIds.map(String));
+  const fresh = new Map(cached
+    .filter(entry => entry.fetched_at > Date.now() - maxAge)
+    .map(entry => [entry.token_id, entry.attributes]));
+
+  const attributes = new Map();
+  let failed = 0;
+
+  const stale = [];
+  for (const tokenId of tokenIds) {
+    const id = String(tokenId);
+    if (fresh.has(id)) {
+      attributes.set(id, fresh.get(id));
+    } else {
+      stale.push(tokenId);
+    }
+  }
+
+  // A few fetches at a time, so a wallet with many tokens doesn't open hundreds of connections at once
+  const fetchToken = async tokenId => {
+    const id = String(tokenId);
+
+    try {
+      const uri = await readUri(BigInt(tokenId));
+      const metadata = await fetchMetadata(resolveMetadataUrl(uri, tokenId));
+      const tokenAttributes = getAttributes(metadata);
+
+      await db.saveNftMetadata(chainId, contractAddress, id, {
+        uri,
+        name: typeof metadata.name === 'string' ? metadata.name : null,
+        attributes: tokenAttributes
+      });
+      attributes.set(id, tokenAttributes);
+    } catch (error) {
+      console.warn(`Could not read metadata of token ${id} of ${contractAddress}: ${error.shortMessage || error.message}`);
+      failed++;
+    }
+  };
+
+  const concurrency = parseInt(process.env.METADATA_CONCURRENCY) || DEFAULT_CONCURRENCY;
+  let next = 0;
+  await Promise.all(Array.from({ length: Math.min(concurrency, stale.length) }, async () => {
+    while (next < stale.length) {
+      await fetchToken(stale[next++]);
+    }
+  }));
+
+  return { attributes, failed };
+}
+
+module.exports = {
+  resolveMetadataUrl,
+  fetchMetadata,
+  getAttributes,
+  parseTraitConditions,
+  matchTraits,
+  describeTraitConditions,
+  getTokenAttributes
+};
@@ -0,0 +1,322 @@
+const { ethers } = require('ethers');
+
+/**
+ * RPC provider pool - spreads a chain's reads over all of its configured RPC URLs
+ * (chains.js rpcUrls, e.g. AVALANCHE_RPC_URL=https://a,https://b).
+ *
+ * Every request goes to the healthiest endpoint first, with a timeout, and is retried
+ * on the next endpoint with exponential backoff if it fails. Endpoints that keep failing
+ * are benched for a while. Health is tracked per URL for the whole process, so every
+ * pool (and every BlockchainService) using a URL shares it.
+ *
+ * Critical reads (contract wallet signatures, Safe owners) can go through a quorum pool
+ * from withQuorum(), which only accepts a result that enough endpoints agree on.
+ */
+
+// How long one request may take before the next endpoint is tried
+const DEFAULT_TIMEOUT_MS = 10000;
+// Extra attempts after the first one fails
+const DEFAULT_RETRIES = 2;
+// Delay before the first retry, doubled for every retry after it
+const BACKOFF_BASE_MS = 250;
+// Consecutive failures before an endpoint is benched
+const FAILURE_THRESHOLD = 3;
+// How long a benched endpoint is skipped (doubles while it keeps failing, up to the max)
+const COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+// Weight of the latest request in the success score and latency averages
+const EWMA_WEIGHT = 0.2;
+
+// Errors that any endpoint would return the same way - retrying elsewhere won't help
+const DETERMINISTIC_ERRORS = new Set(['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'UNSUPPORTED_OPERATION']);
+
+// ethers error codes for RPC trouble that may clear up on a later try
+const TRANSIENT_ERROR_CODES = new Set(['NETWORK_ERROR', 'TIMEOUT', 'SERVER_ERROR']);
+const TRANSIENT_ERROR_PATTERN = /timed out|timeout|rate limit|too many requests|\b429\b|\b50[234]\b|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|disagree on|Not enough RPC endpoints/i;
+
+// "chainId:url" -> endpoint health, shared by every pool
+const endpoints = new Map();
+
+/**
+ * Get (or create) the shared endpoint for an RPC URL
+ */
+function getEndpoint(url, chainId) {
+  const key = `${chainId}:${url}`;
+
+  if (!endpoints.has(key)) {
+    endpoints.set(key, {
+      url,
+      chainId,
+      provider: new ethers.JsonRpcProvider(url, chainId, { staticNetwork: true }),
+      score: 1,
+      latencyMs: null,
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      benchedUntil: 0,
+      lastError: null,
+      lastErrorAt: null
+    });
+  }
+
+  return endpoints.get(key);
+}
+
+/**
+ * Host of an RPC URL - paths and query strings often carry API keys, so they are never shown
+ */
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid url';
+  }
+}
+
+function recordSuccess(endpoint, latencyMs) {
+  endpoint.requests++;
+  endpoint.consecutiveFailures = 0;
+  endpoint.benchedUntil = 0;
+  endpoint.score = endpoint.score * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+  endpoint.latencyMs = endpoint.latencyMs === null
+    ? latencyMs
+    : Math.round(endpoint.latencyMs * (1 - EWMA_WEIGHT) + latencyMs * EWMA_WEIGHT);
+}
+
+function recordFailure(endpoint, error) {
+  endpoint.requests++;
+  endpoint.failures++;
+  endpoint.consecutiveFailures++;
+  endpoint.score = endpoint.score * (1 - EWMA_WEIGHT);
+  endpoint.lastError = error.shortMessage || error.message;
+  endpoint.lastErrorAt = Date.now();
+
+  if (endpoint.consecutiveFailures >= FAILURE_THRESHOLD) {
+    const strikes = endpoint.consecutiveFailures - FAILURE_THRESHOLD;
+    const cooldown = Math.min(COOLDOWN_MS * 2 ** strikes, MAX_COOLDOWN_MS);
+    endpoint.benchedUntil = Date.now() + cooldown;
+    console.warn(`RPC ${describeUrl(endpoint.url)} (chain ${endpoint.chainId}) benched for ${cooldown / 1000}s: ${endpoint.lastError}`);
+  }
+}
+
+/**
+ * Run a promise with a timeout
+ */
+function withTimeout(promise, ms, url) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`RPC ${describeUrl(url)} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether an error is RPC trouble (network, timeout, rate limit) that a later try may not hit,
+ * as opposed to a deterministic failure - a revert, a misconfigured contract, a bug - that
+ * would happen the same way again. Errors can mark themselves with `transient: true`.
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (error.transient !== undefined) return Boolean(error.transient);
+  if (DETERMINISTIC_ERRORS.has(error.code) || error instanceof TypeError) return false;
+  if (TRANSIENT_ERROR_CODES.has(error.code)) return true;
+  if (error.cause && isTransientError(error.cause)) return true;
+  return TRANSIENT_ERROR_PATTERN.test(`${error.shortMessage || ''} ${error.message || ''}`);
+}
+
+/**
+ * Key that identical results (or identical deterministic errors) share, for quorum comparisons
+ */
+function resultKey(outcome) {
+  if (outcome.error) {
+    return `error:${outcome.error.code}:${outcome.error.data || ''}`;
+  }
+  return JSON.stringify(outcome.value, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+}
+
+class RpcPool extends ethers.AbstractProvider {
+  /**
+   * @param {string[]} urls - RPC URLs for the chain
+   * @param {number} chainId
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Per-request timeout in ms (default RPC_TIMEOUT_MS or 10s)
+   * @param {number} [options.retries] - Extra attempts on other endpoints (default RPC_RETRIES or 2)
+   * @param {number} [options.quorum] - Endpoints that must agree on a result (default 1, no quorum)
+   */
+  constructor(urls, chainId, options = {}) {
+    if (urls.length === 0) {
+      throw new Error(`No RPC URL configured for chain ${chainId}`);
+    }
+
+    const network = ethers.Network.from(chainId);
+    super(network, { staticNetwork: network });
+
+    this.chainId = Number(chainId);
+    this.urls = urls;
+    this.endpoints = urls.map(url => getEndpoint(url, this.chainId));
+    this.timeout = options.timeout || parseInt(process.env.RPC_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.retries = options.retries ?? (parseInt(process.env.RPC_RETRIES) >= 0 ? parseInt(process.env.RPC_RETRIES) : DEFAULT_RETRIES);
+    this.quorum = Math.min(options.quorum || 1, this.endpoints.length);
+    this.quorumPool = null;
+  }
+
+  /**
+   * A pool over the same endpoints that needs RPC_QUORUM (default 2) of them to agree
+   */
+  withQuorum() {
+    if (!this.quorumPool) {
+      this.quorumPool = new RpcPool(this.urls, this.chainId, {
+        timeout: this.timeout,
+        retries: this.retries,
+        quorum: parseInt(process.env.RPC_QUORUM) || 2
+      });
+    }
+    return this.quorumPool;
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(this.chainId);
+  }
+
+  /**
+   * Endpoints to try, best first: active before benched, then by score and latency
+   */
+  rankEndpoints() {
+    const now = Date.now();
+    return [...this.endpoints].sort((a, b) =>
+      (a.benchedUntil > now) - (b.benchedUntil > now) ||
+      b.score - a.score ||
+      (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity)
+    );
+  }
+
+  /**
+   * Send a request to one endpoint, recording its health.
+   * Deterministic errors (reverts, bad arguments) are returned as an outcome rather than
+   * counted against the endpoint.
+   * @returns {Promise<{ value?: any, error?: Error }>}
+   */
+  async send(endpoint, req) {
+    const started = Date.now();
+
+    try {
+      const value = await withTimeout(endpoint.provider._perform(req), this.timeout, endpoint.url);
+      recordSuccess(endpoint, Date.now() - started);
+      return { value };
+    } catch (error) {
+      if (DETERMINISTIC_ERRORS.has(error.code)) {
+        recordSuccess(endpoint, Date.now() - started);
+        return { error };
+      }
+      recordFailure(endpoint, error);
+      throw error;
+    }
+  }
+
+  /**
+   * AbstractProvider hook - every provider request (call, getBalance, getLogs, ...) lands here
+   */
+  async _perform(req) {
+    const outcome = this.quorum > 1
+      ? await this.performWithQuorum(req)
+      : await this.performWithRetry(req);
+
+    if (outcome.error) throw outcome.error;
+    return outcome.value;
+  }
+
+  /**
+   * Try endpoints best first until one answers, backing off between attempts
+   */
+  async performWithRetry(req) {
+    const ranked = this.rankEndpoints();
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        await sleep(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+      }
+
+      const endpoint = ranked[attempt % ranked.length];
+      try {
+        return await this.send(endpoint, req);
+      } catch (error) {
+        lastError = error;
+        console.warn(`RPC ${req.method} on ${describeUrl(endpoint.url)} failed (attempt ${attempt + 1}/${this.retries + 1}): ${error.shortMessage || error.message}`);
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Ask the best `quorum` endpoints in parallel, then the rest one at a time,
+   * until `quorum` of them return the same result
+   */
+  async performWithQuorum(req) {
+    const ranked = this.rankEndpoints();
+    const tally = new Map(); // result key -> { count, outcome }
+    let lastError;
+
+    const record = outcome => {
+      const key = resultKey(outcome);
+      const entry = tally.get(key) || { count: 0, outcome };
+      entry.count++;
+      tally.set(key, entry);
+      return entry.count >= this.quorum ? entry.outcome : null;
+    };
+
+    const first = await Promise.allSettled(ranked.slice(0, this.quorum).map(endpoint => this.send(endpoint, req)));
+    for (const settled of first) {
+      if (settled.status === 'rejected') {
+        lastError = settled.reason;
+        continue;
+      }
+      const agreed = record(settled.value);
+      if (agreed) return agreed;
+    }
+
+    for (const endpoint of ranked.slice(this.quorum)) {
+      try {
+        const agreed = record(await this.send(endpoint, req));
+        if (agreed) return agreed;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    if (tally.size > 1) {
+      throw new Error(`RPC endpoints for chain ${this.chainId} disagree on ${req.method} - no ${this.quorum} matching results`);
+    }
+    throw lastError || new Error(`Not enough RPC endpoints for chain ${this.chainId} answered ${req.method} (quorum ${this.quorum})`);
+  }
+}
+
+/**
+ * Health of every RPC endpoint in use, for /api/status.
+ * Error messages are left out - /api/status is public and they can contain the full RPC URL (and its API key)
+ */
+function getRpcStats() {
+  const now = Date.now();
+
+  return [...endpoints.values()].map(endpoint => ({
+    chainId: endpoint.chainId,
+    host: describeUrl(endpoint.url),
+    healthy: endpoint.benchedUntil <= now,
+    score: Number(endpoint.score.toFixed(3)),
+    latencyMs: endpoint.latencyMs,
+    requests: endpoint.requests,
+    failures: endpoint.failures,
+    lastErrorAt: endpoint.lastErrorAt ? new Date(endpoint.lastErrorAt).toISOString() : null
+  }));
+}
+
+module.exports = {
+  RpcPool,
+  getRpcStats,
+  isTransientError
+};
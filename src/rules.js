@@ -0,0 +1,403 @@
+/**
+ * Role rules - composite AND / OR / NOT conditions over role configs.
+ *
+ * A rule is stored as a tree:
+ *   { type: 'config', config_id }        - leaf, satisfied when the role config is met
+ *   { type: 'and', children: [...] }
+ *   { type: 'or', children: [...] }
+ *   { type: 'not', child }
+ *
+ * Admins write rules as expressions over config IDs (or a unique suffix of one),
+ * e.g. "(a1b2c3 OR d4e5f6) AND NOT 0718aa". Evaluation lives in BlockchainService.
+ */
+
+const { COMPARATORS } = require('./custom-call');
+const { formatMatchedTokenIds } = require('./token-ids');
+
+const PRECEDENCE = { or: 1, and: 2, not: 3, config: 4 };
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\(|\)|&&|\|\||&|\||!)|([A-Za-z0-9]+)|(\S))/g;
+  let match;
+
+  while ((match = pattern.exec(expression)) !== null) {
+    const [, symbol, word, invalid] = match;
+
+    if (invalid) {
+      throw new Error(`Unexpected character "${invalid}"`);
+    }
+
+    const value = symbol || word;
+    const upper = value.toUpperCase();
+
+    if (upper === 'AND' || value === '&&' || value === '&') {
+      tokens.push({ kind: 'and' });
+    } else if (upper === 'OR' || value === '||' || value === '|') {
+      tokens.push({ kind: 'or' });
+    } else if (upper === 'NOT' || value === '!') {
+      tokens.push({ kind: 'not' });
+    } else if (value === '(' || value === ')') {
+      tokens.push({ kind: value });
+    } else {
+      tokens.push({ kind: 'id', value: value.toLowerCase() });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a rule expression into a rule tree.
+ * `resolveId` maps the ID (or ID suffix) written by the admin to a full config ID
+ * and throws if it does not match exactly one config.
+ */
+function parseRule(expression, resolveId = id => id) {
+  const tokens = tokenize(expression || '');
+  let index = 0;
+
+  if (tokens.length === 0) {
+    throw new Error('Rule expression is empty');
+  }
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.kind === 'or') {
+      next();
+      children.push(parseAnd());
+    }
+    return combine('or', children);
+  }
+
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek()?.kind === 'and') {
+      next();
+      children.push(parseUnary());
+    }
+    return combine('and', children);
+  }
+
+  function parseUnary() {
+    const token = next();
+
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.kind === 'not') {
+      return { type: 'not', child: parseUnary() };
+    }
+
+    if (token.kind === '(') {
+      const node = parseOr();
+      if (next()?.kind !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      return node;
+    }
+
+    if (token.kind === 'id') {
+      return { type: 'config', config_id: resolveId(token.value) };
+    }
+
+    throw new Error(`Unexpected "${token.kind.toUpperCase()}"`);
+  }
+
+  const tree = parseOr();
+
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value || tokens[index].kind.toUpperCase()}" after end of rule`);
+  }
+
+  return tree;
+}
+
+/**
+ * Build an AND/OR node, flattening nested nodes of the same type
+ */
+function combine(type, children) {
+  if (children.length === 1) return children[0];
+
+  return {
+    type,
+    children: children.flatMap(child => (child.type === type ? child.children : [child]))
+  };
+}
+
+/**
+ * Format a rule tree back into an expression.
+ * `label` renders a leaf (defaults to the config ID).
+ */
+function formatRule(node, label = id => id, parentPrecedence = 0) {
+  let text;
+
+  switch (node.type) {
+    case 'config':
+      return label(node.config_id);
+    case 'not':
+      return `NOT ${formatRule(node.child, label, PRECEDENCE.not)}`;
+    case 'and':
+    case 'or':
+      text = node.children
+        .map(child => formatRule(child, label, PRECEDENCE[node.type]))
+        .join(` ${node.type.toUpperCase()} `);
+      break;
+    default:
+      throw new Error(`Unknown rule node type: ${node.type}`);
+  }
+
+  return PRECEDENCE[node.type] < parentPrecedence ? `(${text})` : text;
+}
+
+/**
+ * Render a rule tree as an indented outline for Discord messages
+ */
+function formatRuleTree(node, label = id => id, indent = '') {
+  if (node.type === 'config') {
+    return `${indent}- ${label(node.config_id)}\n`;
+  }
+
+  const children = node.type === 'not' ? [node.child] : node.children;
+  let text = `${indent}- **${node.type.toUpperCase()}**\n`;
+
+  for (const child of children) {
+    text += formatRuleTree(child, label, `${indent}  `);
+  }
+
+  return text;
+}
+
+/**
+ * Collect every config ID referenced by a rule tree
+ */
+function getRuleConfigIds(node, ids = new Set()) {
+  if (!node) return ids;
+
+  switch (node.type) {
+    case 'config':
+      ids.add(String(node.config_id));
+      break;
+    case 'not':
+      getRuleConfigIds(node.child, ids);
+      break;
+    default:
+      node.children.forEach(child => getRuleConfigIds(child, ids));
+  }
+
+  return ids;
+}
+
+/**
+ * Short form of a config ID used in rule expressions and listings
+ */
+function shortConfigId(configId) {
+  return String(configId).slice(-6);
+}
+
+/**
+ * Build a resolver for parseRule() that accepts a full config ID or a unique
+ * suffix of one, limited to the given role configs
+ */
+function createConfigIdResolver(roleConfigs) {
+  return input => {
+    const matches = roleConfigs.filter(config => String(config._id).toLowerCase().endsWith(input));
+
+    if (matches.length === 0) {
+      throw new Error(`No config for this role matches "${input}"`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`"${input}" matches more than one config - use more characters`);
+    }
+
+    return String(matches[0]._id);
+  };
+}
+
+/**
+ * Format a token amount with thousands separators and its symbol if known, e.g. "10,000 OBZ".
+ * Values that aren't plain numbers (CUSTOM_CALL results like "true") are returned as-is.
+ */
+function formatTokenAmount(amount, symbol = null) {
+  const value = String(amount);
+  const match = value.match(/^(-?)(\d+)(\.\d+)?$/);
+  const formatted = match
+    ? `${match[1]}${match[2].replace(/\B(?=(\d{3})+(?!\d))/g, ',')}${match[3] && !/^\.0+$/.test(match[3]) ? match[3] : ''}`
+    : value;
+  return symbol ? `${formatted} ${symbol}` : formatted;
+}
+
+/**
+ * Round a decimal amount for display - LP shares and what they redeem for rarely come out even
+ */
+function roundAmount(amount, digits = 4) {
+  return String(Number(Number(amount).toFixed(digits)));
+}
+
+/**
+ * Format the balance of a check result, e.g. "1,500 AVAX", "$505.20 (1,000 OBZ @ $0.5052)",
+ * "2 OBZ held for 30 days (now 3 OBZ)", "3 incl. 1 staked" or "5,200 OBZ (1,200 held + 4,000 from 12.5 LP incl. 10 staked)"
+ */
+function formatResultBalance(result) {
+  if (result.denomination === 'USD') {
+    return `$${result.balance} (${formatTokenAmount(result.tokenBalance, result.symbol || 'tokens')} @ $${result.price})`;
+  }
+
+  // LP requirements break the total down into the token held and the LP tokens behind the rest
+  if (result.liquidityRaw !== undefined) {
+    const stakedLp = result.stakedLpRaw > 0n ? ` incl. ${formatTokenAmount(roundAmount(result.stakedLpBalance))} staked` : '';
+    const lp = `${formatTokenAmount(roundAmount(result.lpBalance))} LP${stakedLp}`;
+    const parts = result.heldRaw !== undefined
+      ? `${formatTokenAmount(roundAmount(result.heldBalance))} held + ${formatTokenAmount(roundAmount(result.liquidityBalance))} from ${lp}`
+      : `from ${lp}`;
+    return `${formatTokenAmount(roundAmount(result.balance), result.symbol)} (${parts})`;
+  }
+
+  const balance = formatTokenAmount(result.balance, result.symbol);
+
+  if (result.holdDays) {
+    const now = result.currentBalance !== result.balance ? ` (now ${formatTokenAmount(result.currentBalance, result.symbol)})` : '';
+    return `${balance} held for ${result.holdDays} days${now}`;
+  }
+
+  // ERC1155 any / all requirements count the IDs held at the required amount
+  if (result.idMode === 'any' || result.idMode === 'all') {
+    const matched = result.tokenIds.length ? ` (${formatMatchedTokenIds(result.tokenIds)})` : '';
+    return `${result.balance} of ${result.idCount} IDs with ${formatTokenAmount(result.required)}+${matched}`;
+  }
+
+  // Balances that include a staking contract say how much of them is staked
+  const staked = result.stakedRaw > 0n ? ` incl. ${formatTokenAmount(result.stakedBalance)} staked` : '';
+
+  // Token ID requirements list the matching tokens
+  if (result.tokenIds?.length) {
+    return `${balance}${staked} (${formatMatchedTokenIds(result.tokenIds)})`;
+  }
+
+  return `${balance}${staked}`;
+}
+
+/**
+ * Format the required amount of a check result, e.g. "1000 AVAX", "$500" or "= true"
+ */
+function formatResultRequired(result) {
+  if (result.denomination === 'USD') {
+    return `$${result.required}`;
+  }
+
+  if (result.idMode === 'any') {
+    return `1 ID with ${formatTokenAmount(result.required)}+`;
+  }
+  if (result.idMode === 'all') {
+    return `all ${result.idCount} IDs with ${formatTokenAmount(result.required)}+`;
+  }
+
+  // CUSTOM_CALL results can use comparators other than "at least"
+  if (result.comparator && result.comparator !== 'gte') {
+    return `${COMPARATORS[result.comparator].symbol} ${result.required}`;
+  }
+
+  return formatTokenAmount(result.required, result.symbol);
+}
+
+/**
+ * Icon for an evaluation status: qualified, not_qualified or unknown (could not be checked)
+ */
+function statusIcon(status) {
+  if (status === 'qualified') return '✅';
+  if (status === 'unknown') return '⚠️';
+  return '❌';
+}
+
+/**
+ * Explain why a role evaluation (from BlockchainService.evaluateRole) did not qualify
+ */
+function describeRoleEvaluation(evaluation) {
+  const describeBalance = ({ result }) => {
+    const across = result.walletCount ? ` across ${result.walletCount} wallet(s)` : '';
+    return `has: ${formatResultBalance(result)}${across}, needs: ${formatResultRequired(result)}`;
+  };
+
+  if (evaluation.supersededBy) {
+    return 'Holds a higher tier of the same tier group';
+  }
+
+  if (evaluation.status === 'unknown') {
+    const error = evaluation.configResults.find(result => result.status === 'unknown')?.error;
+    return `Could not be checked right now${error ? ` (${error.shortMessage || error.message})` : ''}`;
+  }
+
+  if (evaluation.rule) {
+    const results = new Map(evaluation.configResults.map(result => [String(result.config._id), result]));
+    const label = id => `${shortConfigId(id)} ${statusIcon(results.get(id)?.status)}`;
+    return `Rule not satisfied: ${formatRule(evaluation.rule, label)}`;
+  }
+
+  const checked = evaluation.configResults.filter(result => result.result);
+  if (checked.length === 0) {
+    return 'Error checking balance';
+  }
+
+  return `Insufficient balance (${checked.map(describeBalance).join('; ')})`;
+}
+
+/**
+ * Group a guild's role configs by role, attaching the role's rule if it has one,
+ * and its place in a tier group if it is in one:
+ *   tier        - { group, rank, size, mode } (rank 0 is the lowest tier)
+ *   higherTiers - role groups of the tiers above it, in "highest" mode groups only
+ * @returns {Array<{ roleId: string, configs: object[], rule: object|null, tier: object|null, higherTiers: object[] }>}
+ */
+function groupConfigsByRole(roleConfigs, roleRules = [], tierGroups = []) {
+  const groups = new Map();
+
+  for (const config of roleConfigs) {
+    if (!groups.has(config.role_id)) {
+      groups.set(config.role_id, { roleId: config.role_id, configs: [], rule: null, tier: null, higherTiers: [] });
+    }
+    groups.get(config.role_id).configs.push(config);
+  }
+
+  for (const roleRule of roleRules) {
+    const group = groups.get(roleRule.role_id);
+    if (group) {
+      group.rule = roleRule.rule;
+    }
+  }
+
+  for (const tierGroup of tierGroups) {
+    tierGroup.role_ids.forEach((roleId, rank) => {
+      const group = groups.get(roleId);
+      if (!group) return;
+
+      group.tier = { group: tierGroup.name, rank, size: tierGroup.role_ids.length, mode: tierGroup.mode };
+      if (tierGroup.mode === 'highest') {
+        group.higherTiers = tierGroup.role_ids.slice(rank + 1).map(id => groups.get(id)).filter(Boolean);
+      }
+    });
+  }
+
+  return [...groups.values()];
+}
+
+module.exports = {
+  parseRule,
+  formatRule,
+  formatRuleTree,
+  getRuleConfigIds,
+  shortConfigId,
+  createConfigIdResolver,
+  formatTokenAmount,
+  roundAmount,
+  formatResultBalance,
+  formatResultRequired,
+  statusIcon,
+  describeRoleEvaluation,
+  groupConfigsByRole
+};
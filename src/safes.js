@@ -0,0 +1,251 @@
+const db = require('./database-mongo');
+const { applyHigherTiers } = require('./tiers');
+
+/**
+ * Linked Safes - a user who linked one of a Safe's owner EOAs can link the Safe too,
+ * and its holdings count towards that user's roles (on the Safe's chain only).
+ *
+ * Several co-owners may link the same Safe, but for any one role it only counts for
+ * one of them: whoever first needed it to qualify holds a claim on it for that role
+ * (safe_claims), until they no longer need it or unlink it. Only the fewest Safes a
+ * user needs are claimed, and claims of members who left or roles that are no longer
+ * gated are released (releaseOrphanedSafeClaims).
+ */
+
+// Past this many owned Safes, unneeded ones are dropped one at a time instead of trying every combination
+const MAX_SAFES_FOR_EXHAUSTIVE_SEARCH = 4;
+
+// Discord API error for a user who is not a member of the guild
+const UNKNOWN_MEMBER_ERROR = 10007;
+
+/**
+ * Check which of a user's linked Safes they still co-own (owners can change after linking)
+ * @returns {Promise<{ owned: object[], unchecked: number }>} unchecked - Safes whose owners could not be read
+ */
+async function getOwnedSafes(blockchainService, safes, walletAddresses) {
+  const linked = new Set(walletAddresses.map(address => address.toLowerCase()));
+  let unchecked = 0;
+
+  const owned = await Promise.all(safes.map(async safe => {
+    try {
+      const { owners } = await blockchainService.getSafeInfo(safe.safe_address, { chainId: safe.chain_id });
+      return owners.some(owner => linked.has(owner)) ? safe : null;
+    } catch (error) {
+      console.error(`Could not check owners of Safe ${safe.safe_address}:`, error.message);
+      unchecked++;
+      return null;
+    }
+  }));
+
+  return { owned: owned.filter(Boolean), unchecked };
+}
+
+/**
+ * Group Safes into evaluateRole()'s chainWallets
+ */
+function toChainWallets(safes) {
+  const chainWallets = {};
+  for (const safe of safes) {
+    (chainWallets[safe.chain_id] = chainWallets[safe.chain_id] || []).push(safe.safe_address);
+  }
+  return chainWallets;
+}
+
+/**
+ * Every way of picking `size` of the items, in order
+ */
+function* combinations(items, size, start = 0) {
+  if (size === 0) {
+    yield [];
+    return;
+  }
+  for (let i = start; i <= items.length - size; i++) {
+    for (const rest of combinations(items, size - 1, i + 1)) {
+      yield [items[i], ...rest];
+    }
+  }
+}
+
+/**
+ * Find the fewest of a user's Safes they need to qualify for a role, so the others stay
+ * free for co-owners. `evaluation` is the (qualifying) evaluation with all of them.
+ * A few Safes are searched exhaustively; with more, Safes that aren't needed are dropped one by one.
+ * @returns {Promise<{ safes: object[], evaluation: object }>}
+ */
+async function findSmallestSafeSet(blockchainService, walletAddresses, roleGroup, safes, evaluation, options = {}) {
+  const evaluateWith = subset => blockchainService.evaluateRole(walletAddresses, roleGroup, {
+    blockTags: options.blockTags,
+    chainWallets: toChainWallets(subset)
+  });
+
+  if (safes.length <= MAX_SAFES_FOR_EXHAUSTIVE_SEARCH) {
+    for (let size = 1; size < safes.length; size++) {
+      for (const subset of combinations(safes, size)) {
+        const subsetEvaluation = await evaluateWith(subset);
+        if (subsetEvaluation.qualified) return { safes: subset, evaluation: subsetEvaluation };
+      }
+    }
+    return { safes, evaluation };
+  }
+
+  let needed = safes;
+  let neededEvaluation = evaluation;
+  for (const safe of safes) {
+    const without = needed.filter(other => other !== safe);
+    const withoutEvaluation = await evaluateWith(without);
+    if (withoutEvaluation.qualified) {
+      needed = without;
+      neededEvaluation = withoutEvaluation;
+    }
+  }
+  return { safes: needed, evaluation: neededEvaluation };
+}
+
+/**
+ * Evaluate a role for a user, counting their linked Safes when their wallets alone don't qualify.
+ * Safes claimed by another co-owner for this role are skipped.
+ * In a "highest" tier group, a role is not held while a higher tier qualifies (see tiers.js).
+ * @param {object} [options]
+ * @param {boolean} [options.claim=true] - Record/release Safe claims (false for read-only checks like /status)
+ * @param {object} [options.blockTags] - Evaluate at snapshot blocks (see BlockchainService.getSnapshotBlocks)
+ * Claims are kept while the evaluation is unknown (RPC errors), so a co-owner can't take them meanwhile.
+ * @returns {Promise<object>} The evaluation from BlockchainService.evaluateRole(), plus
+ *   `safes` (Safes it relied on), `safesClaimedByOthers` (count skipped) and
+ *   `supersededBy` (role ID of the higher tier held instead, if any)
+ */
+async function evaluateRoleWithSafes(blockchainService, params, options = {}) {
+  const evaluation = await evaluateOwnRole(blockchainService, params, options);
+  const higherTiers = params.roleGroup.higherTiers || [];
+
+  if (higherTiers.length === 0 || evaluation.status === 'not_qualified') {
+    return evaluation;
+  }
+
+  // Read-only - the higher tiers' own evaluations take care of their claims
+  const higherEvaluations = await Promise.all(higherTiers.map(roleGroup =>
+    evaluateOwnRole(blockchainService, { ...params, roleGroup }, { ...options, claim: false })
+  ));
+  const result = applyHigherTiers(evaluation, higherEvaluations);
+
+  if (result.supersededBy && options.claim !== false) {
+    await db.releaseSafeClaims(params.guildId, params.roleGroup.roleId, params.discordId);
+  }
+
+  return result;
+}
+
+/**
+ * Evaluate a role on its own requirements (no tier group), counting linked Safes
+ */
+async function evaluateOwnRole(blockchainService, { discordId, guildId, walletAddresses, roleGroup }, options = {}) {
+  const claim = options.claim !== false;
+  const evaluation = await blockchainService.evaluateRole(walletAddresses, roleGroup, { blockTags: options.blockTags });
+
+  const safes = await db.getLinkedSafes(discordId);
+  if (safes.length === 0) {
+    return { ...evaluation, safes: [], safesClaimedByOthers: 0 };
+  }
+
+  // Qualifies without any Safe - free claims so co-owners can use them
+  if (evaluation.qualified) {
+    if (claim) await db.releaseSafeClaims(guildId, roleGroup.roleId, discordId);
+    return { ...evaluation, safes: [], safesClaimedByOthers: 0 };
+  }
+
+  const claims = await db.getSafeClaims(guildId, roleGroup.roleId);
+  const claimedByOthers = safe => claims.some(c =>
+    c.safe_address === safe.safe_address && c.chain_id === safe.chain_id && c.discord_id !== discordId
+  );
+
+  const available = safes.filter(safe => !claimedByOthers(safe));
+  const safesClaimedByOthers = safes.length - available.length;
+  const { owned, unchecked } = await getOwnedSafes(blockchainService, available, walletAddresses);
+
+  // A Safe whose owners couldn't be read might have made the difference
+  const withUnchecked = result => unchecked > 0 && result.status === 'not_qualified'
+    ? { ...result, status: 'unknown' }
+    : result;
+
+  if (owned.length === 0) {
+    const result = withUnchecked(evaluation);
+    if (claim && result.status === 'not_qualified') await db.releaseSafeClaims(guildId, roleGroup.roleId, discordId);
+    return { ...result, safes: [], safesClaimedByOthers };
+  }
+
+  const withSafes = await blockchainService.evaluateRole(walletAddresses, roleGroup, {
+    blockTags: options.blockTags,
+    chainWallets: toChainWallets(owned)
+  });
+
+  if (!withSafes.qualified) {
+    const result = withUnchecked(withSafes);
+    if (claim && result.status === 'not_qualified') await db.releaseSafeClaims(guildId, roleGroup.roleId, discordId);
+    return { ...result, safes: [], safesClaimedByOthers };
+  }
+
+  const needed = await findSmallestSafeSet(blockchainService, walletAddresses, roleGroup, owned, withSafes, options);
+
+  if (claim) {
+    // Drop claims on Safes that are no longer needed before taking the new ones
+    await db.releaseSafeClaims(guildId, roleGroup.roleId, discordId, {
+      except: needed.safes.map(safe => ({ safe_address: safe.safe_address, chain_id: safe.chain_id }))
+    });
+
+    for (const safe of needed.safes) {
+      const result = await db.claimSafe(guildId, roleGroup.roleId, safe.safe_address, safe.chain_id, discordId);
+
+      // Another co-owner got there first - fall back to the evaluation without Safes
+      if (result.discord_id !== discordId) {
+        await db.releaseSafeClaims(guildId, roleGroup.roleId, discordId);
+        return { ...evaluation, safes: [], safesClaimedByOthers: safesClaimedByOthers + 1 };
+      }
+    }
+  }
+
+  return { ...needed.evaluation, safes: needed.safes, safesClaimedByOthers };
+}
+
+/**
+ * Release a guild's Safe claims nobody can hold any more - the claimant left the guild,
+ * or the role was deleted or has no token requirements left - so co-owners can use the Safes
+ * @param {import('discord.js').Guild} guild
+ * @returns {Promise<number>} Number of claims released
+ */
+async function releaseOrphanedSafeClaims(guild) {
+  const claims = await db.getGuildSafeClaims(guild.id);
+  if (claims.length === 0) return 0;
+
+  const gatedRoles = new Set((await db.getRoleConfigs(guild.id)).map(config => config.role_id));
+  const members = new Map(); // discord ID -> still a member (undefined if that couldn't be checked)
+  const orphaned = [];
+
+  for (const claim of claims) {
+    if (!gatedRoles.has(claim.role_id) || !guild.roles.cache.has(claim.role_id)) {
+      orphaned.push(claim._id);
+      continue;
+    }
+
+    if (!members.has(claim.discord_id)) {
+      const isMember = await guild.members.fetch(claim.discord_id)
+        .then(() => true)
+        // Only a definite "not a member" releases - API trouble keeps the claim
+        .catch(error => (error.code === UNKNOWN_MEMBER_ERROR ? false : undefined));
+      members.set(claim.discord_id, isMember);
+    }
+
+    if (members.get(claim.discord_id) === false) {
+      orphaned.push(claim._id);
+    }
+  }
+
+  if (orphaned.length > 0) {
+    await db.deleteSafeClaims(orphaned);
+  }
+  return orphaned.length;
+}
+
+module.exports = {
+  getOwnedSafes,
+  evaluateRoleWithSafes,
+  releaseOrphanedSafeClaims
+};
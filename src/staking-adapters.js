@@ -0,0 +1,400 @@
+const { ethers } = require('ethers');
+
+/**
+ * Staking adapters - how to read a wallet's staked balance from a staking contract.
+ *
+ * Each adapter has:
+ *   label                         - Shown in /addrole and /listroles
+ *   kind                          - What it reads (see ADAPTER_KINDS)
+ *   normalizeParams(params)       - Validate and normalize "key=value" params from /addrole
+ *   validate(runner, staking, params, context)             - Optional extra checks at /addrole time,
+ *                                                            returns a list of warnings
+ * and, depending on its kind:
+ *   getBalance(runner, staking, wallet, params, overrides) - amount: staked amount (bigint) in token units
+ *   getTokenIds(runner, staking, wallet, params, overrides) - ids: token IDs (bigint[]) the wallet staked
+ *   getBalances(runner, staking, wallet, ids, params, overrides) - perid: staked amount of each token ID
+ */
+
+// Adapter kinds and the token types they can be used with
+const ADAPTER_KINDS = {
+  // An amount - ERC20 or LP tokens (e.g. farmed in a MasterChef), or a count of ERC721 tokens
+  amount: ['ERC20', 'LP', 'ERC721'],
+  // The staked ERC721 token IDs, so token ID sets and traits can include staked tokens
+  ids: ['ERC721'],
+  // A staked amount per ERC1155 token ID
+  perid: ['ERC1155']
+};
+
+/**
+ * Call a function and read the uint256 word at `index` of the return data.
+ * Works for any struct of static fields (amount, rewardDebt, timestamps...)
+ * without needing the full return layout.
+ */
+async function callWord(runner, to, signature, args, index, overrides = {}) {
+  const fragment = ethers.FunctionFragment.from(signature);
+  const iface = new ethers.Interface([fragment]);
+  const data = iface.encodeFunctionData(fragment, args);
+
+  const result = await runner.call({ to, data, ...overrides });
+  const offset = index * 32;
+
+  if (ethers.dataLength(result) < offset + 32) {
+    const fields = Math.floor(ethers.dataLength(result) / 32);
+    throw new Error(`${fragment.name}() returned ${fields} field(s), expected at least ${index + 1}`);
+  }
+
+  return BigInt(ethers.dataSlice(result, offset, offset + 32));
+}
+
+/**
+ * Call a function returning uint256[], e.g. the token IDs a wallet staked
+ */
+async function callIdList(runner, to, signature, args, overrides = {}) {
+  const iface = new ethers.Interface([`function ${signature} view returns (uint256[])`]);
+  const fragment = iface.fragments[0];
+
+  const result = await runner.call({ to, data: iface.encodeFunctionData(fragment, args), ...overrides });
+  return [...iface.decodeFunctionResult(fragment, result)[0]];
+}
+
+/**
+ * Parse a function signature param and check its argument types, e.g. "stakedBalanceOf(address)"
+ */
+function parseFunctionParam(value, adapterKey, inputTypes, example) {
+  if (!value) {
+    throw new Error(`${adapterKey} adapter requires function=<name>(${inputTypes.join(',')}), e.g. function=${example}`);
+  }
+
+  let fragment;
+  try {
+    fragment = ethers.FunctionFragment.from(value.replace(/^function\s+/, ''));
+  } catch (error) {
+    throw new Error(`Invalid function signature "${value}"`);
+  }
+
+  if (fragment.inputs.map(input => input.type).join(',') !== inputTypes.join(',')) {
+    throw new Error(`The staking function must take (${inputTypes.join(', ')})`);
+  }
+
+  return fragment.format('sighash');
+}
+
+/**
+ * Params of an adapter that takes none - any given are rejected rather than silently dropped
+ */
+function noParams(params, adapterKey) {
+  const names = Object.keys(params || {});
+  if (names.length > 0) {
+    throw new Error(`The ${adapterKey} adapter takes no parameters (got ${names.join(', ')}) - pick one that does, e.g. single or masterchef`);
+  }
+  return {};
+}
+
+/**
+ * Parse an optional non-negative integer param
+ */
+function parseIndex(value, name, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+
+  return Number(value);
+}
+
+const STAKING_ADAPTERS = {
+  // Legacy behaviour for ERC20 / LP configs created before adapters existed - not offered in /addrole
+  auto: {
+    label: 'Auto-detect (userInfo → stakedBalanceOf → balanceOf)',
+    kind: 'amount',
+
+    normalizeParams(params) {
+      return noParams(params, 'auto');
+    },
+
+    async getBalance(runner, staking, wallet, params, overrides = {}) {
+      const attempts = ['userInfo(address)', 'stakedBalanceOf(address)', 'balanceOf(address)'];
+
+      let lastError;
+      for (const signature of attempts) {
+        try {
+          return await callWord(runner, staking, signature, [wallet], 0, overrides);
+        } catch (error) {
+          // Only a revert means the contract lacks this function - anything else (a timeout,
+          // a rate limit) must not fall through to a different read, e.g. a vault's receipt tokens
+          if (error.code !== 'CALL_EXCEPTION') throw error;
+          lastError = error;
+        }
+      }
+
+      throw lastError;
+    }
+  },
+
+  // userInfo(address) returning a struct; the amount field is usually first
+  userinfo: {
+    label: 'userInfo(address) struct field',
+    kind: 'amount',
+
+    normalizeParams(params) {
+      return { index: parseIndex(params.index, 'index', 0) };
+    },
+
+    getBalance(runner, staking, wallet, params, overrides = {}) {
+      return callWord(runner, staking, 'userInfo(address)', [wallet], params.index, overrides);
+    }
+  },
+
+  // MasterChef-style farms: userInfo(uint256 pid, address user) returns (amount, rewardDebt, ...)
+  masterchef: {
+    label: 'MasterChef userInfo(pid, user)',
+    kind: 'amount',
+
+    normalizeParams(params) {
+      if (params.pid === undefined) {
+        throw new Error('masterchef adapter requires pid=<pool id>');
+      }
+
+      return {
+        pid: parseIndex(params.pid, 'pid'),
+        index: parseIndex(params.index, 'index', 0)
+      };
+    },
+
+    getBalance(runner, staking, wallet, params, overrides = {}) {
+      return callWord(runner, staking, 'userInfo(uint256,address)', [params.pid, wallet], params.index, overrides);
+    },
+
+    async validate(runner, staking, params, context) {
+      // poolInfo(pid) usually starts with the staked (LP) token address
+      try {
+        const poolToken = await callWord(runner, staking, 'poolInfo(uint256)', [params.pid], 0);
+        const poolTokenAddress = ethers.getAddress(ethers.toBeHex(poolToken, 20));
+
+        if (context.tokenAddress && poolTokenAddress.toLowerCase() !== context.tokenAddress.toLowerCase()) {
+          return [`Pool ${params.pid} stakes \`${poolTokenAddress}\`, not the configured token`];
+        }
+      } catch (error) {
+        return [`Could not read poolInfo(${params.pid}) to confirm the staked token`];
+      }
+
+      return [];
+    }
+  },
+
+  // Any view function taking the wallet address, e.g. "stakedBalanceOf(address)"
+  single: {
+    label: 'Single call',
+    kind: 'amount',
+
+    normalizeParams(params) {
+      return {
+        function: parseFunctionParam(params.function, 'single', ['address'], 'stakedBalanceOf(address)'),
+        index: parseIndex(params.index, 'index', 0)
+      };
+    },
+
+    getBalance(runner, staking, wallet, params, overrides = {}) {
+      return callWord(runner, staking, params.function, [wallet], params.index, overrides);
+    }
+  },
+
+  // ERC4626 vaults: shares are converted to underlying assets
+  erc4626: {
+    label: 'ERC4626 vault (shares → assets)',
+    kind: 'amount',
+
+    normalizeParams(params) {
+      return noParams(params, 'erc4626');
+    },
+
+    async getBalance(runner, staking, wallet, params, overrides = {}) {
+      const shares = await callWord(runner, staking, 'balanceOf(address)', [wallet], 0, overrides);
+      if (shares === 0n) return 0n;
+
+      return callWord(runner, staking, 'convertToAssets(uint256)', [shares], 0, overrides);
+    },
+
+    async validate(runner, staking, params, context) {
+      const asset = await callWord(runner, staking, 'asset()', [], 0);
+      const assetAddress = ethers.getAddress(ethers.toBeHex(asset, 20));
+
+      if (context.tokenAddress && assetAddress.toLowerCase() !== context.tokenAddress.toLowerCase()) {
+        throw new Error(`Vault asset is \`${assetAddress}\`, not the configured token`);
+      }
+
+      return [];
+    }
+  },
+
+  // NFT vaults that hold a count per staker, e.g. receipt tokens or balanceOf(address) on the vault
+  vaultbalance: {
+    label: 'Vault balanceOf(address) count',
+    kind: 'amount',
+
+    normalizeParams(params) {
+      return noParams(params, 'vaultbalance');
+    },
+
+    getBalance(runner, staking, wallet, params, overrides = {}) {
+      return callWord(runner, staking, 'balanceOf(address)', [wallet], 0, overrides);
+    }
+  },
+
+  // NFT vaults listing the staker's token IDs with depositsOf(address) returns (uint256[])
+  depositsof: {
+    label: 'depositsOf(address) token IDs',
+    kind: 'ids',
+
+    normalizeParams(params) {
+      return noParams(params, 'depositsof');
+    },
+
+    getTokenIds(runner, staking, wallet, params, overrides = {}) {
+      return callIdList(runner, staking, 'depositsOf(address)', [wallet], overrides);
+    }
+  },
+
+  // NFT vaults listing the staker's token IDs with stakedTokens(address) returns (uint256[])
+  stakedtokens: {
+    label: 'stakedTokens(address) token IDs',
+    kind: 'ids',
+
+    normalizeParams(params) {
+      return noParams(params, 'stakedtokens');
+    },
+
+    getTokenIds(runner, staking, wallet, params, overrides = {}) {
+      return callIdList(runner, staking, 'stakedTokens(address)', [wallet], overrides);
+    }
+  },
+
+  // Any view function taking the wallet and returning the staked token IDs, e.g. "tokensOfStaker(address)"
+  idlist: {
+    label: 'Token ID list call',
+    kind: 'ids',
+
+    normalizeParams(params) {
+      return { function: parseFunctionParam(params.function, 'idlist', ['address'], 'tokensOfStaker(address)') };
+    },
+
+    getTokenIds(runner, staking, wallet, params, overrides = {}) {
+      return callIdList(runner, staking, params.function, [wallet], overrides);
+    }
+  },
+
+  // ERC1155 vaults with a staked amount per token ID, balanceOf(address,uint256) unless function= is given
+  perid: {
+    label: 'Per token ID call',
+    kind: 'perid',
+
+    normalizeParams(params) {
+      return {
+        function: params.function
+          ? parseFunctionParam(params.function, 'perid', ['address', 'uint256'], 'stakedBalance(address,uint256)')
+          : 'balanceOf(address,uint256)'
+      };
+    },
+
+    getBalances(runner, staking, wallet, ids, params, overrides = {}) {
+      return Promise.all(ids.map(id => callWord(runner, staking, params.function, [wallet, id], 0, overrides)));
+    }
+  }
+};
+
+/**
+ * The adapter a token type uses when /addrole doesn't name one, or null if it must be named
+ * (ERC20 / LP staking contracts differ too much to guess)
+ */
+function getDefaultStakingAdapter(tokenType) {
+  if (tokenType === 'ERC1155') return 'perid';
+  if (tokenType === 'ERC721') return 'vaultbalance';
+  return null;
+}
+
+/**
+ * Make sure an adapter can read staked tokens of a config's type. Token ID sets and
+ * traits need to know which ERC721 tokens are staked, so only 'ids' adapters work with them.
+ * Throws with an explanation for the admin if not.
+ */
+function checkStakingAdapterType(key, tokenType, { specificTokens = false } = {}) {
+  const adapter = getStakingAdapter(key);
+
+  if (!ADAPTER_KINDS[adapter.kind].includes(tokenType)) {
+    const fitting = Object.keys(STAKING_ADAPTERS).filter(other => other !== 'auto' && ADAPTER_KINDS[STAKING_ADAPTERS[other].kind].includes(tokenType));
+    throw new Error(`The ${key} adapter can't be used with ${tokenType} - use one of: ${fitting.join(', ')}`);
+  }
+
+  if (tokenType === 'ERC721' && specificTokens && adapter.kind !== 'ids') {
+    const listing = Object.keys(STAKING_ADAPTERS).filter(other => STAKING_ADAPTERS[other].kind === 'ids');
+    throw new Error(`\`tokenids\` and \`traits\` need to know which tokens are staked - use one of: ${listing.join(', ')}`);
+  }
+}
+
+/**
+ * Whether an adapter can read staked tokens of a config's type (checkStakingAdapterType without the explanation)
+ */
+function stakingAdapterFits(key, tokenType, options) {
+  try {
+    checkStakingAdapterType(key, tokenType, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get an adapter by key. Configs without an adapter use the legacy auto-detect.
+ */
+function getStakingAdapter(key) {
+  const adapter = STAKING_ADAPTERS[key || 'auto'];
+  if (!adapter) {
+    throw new Error(`Unknown staking adapter: ${key}`);
+  }
+  return adapter;
+}
+
+/**
+ * Parse "key=value; key=value" staking params from /addrole
+ */
+function parseStakingParams(input) {
+  const params = {};
+  if (!input) return params;
+
+  for (const pair of input.split(';')) {
+    if (!pair.trim()) continue;
+
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`Expected key=value, got "${pair.trim()}"`);
+    }
+
+    params[pair.slice(0, separator).trim().toLowerCase()] = pair.slice(separator + 1).trim();
+  }
+
+  return params;
+}
+
+/**
+ * Describe an adapter and its params for display, e.g. "MasterChef userInfo(pid, user) (pid=3)"
+ */
+function describeStakingAdapter(key, params = {}) {
+  const adapter = STAKING_ADAPTERS[key || 'auto'];
+  const details = Object.entries(params || {})
+    .map(([name, value]) => `${name}=${value}`)
+    .join(', ');
+
+  const label = adapter ? adapter.label : key;
+  return details ? `${label} (${details})` : label;
+}
+
+module.exports = {
+  STAKING_ADAPTERS,
+  getDefaultStakingAdapter,
+  checkStakingAdapterType,
+  stakingAdapterFits,
+  getStakingAdapter,
+  parseStakingParams,
+  describeStakingAdapter
+};
@@ -0,0 +1,169 @@
+const { ethers } = require('ethers');
+const { formatTokenAmount } = require('./rules');
+
+/**
+ * Tier groups - ordered roles on the same kind of holding, e.g. Bronze < Silver < Gold.
+ *
+ * A tier group lists its roles lowest first. In "highest" mode a member only holds the
+ * highest tier they qualify for and lower tiers are removed; in "all" mode every tier
+ * they qualify for is held (the ladder is only used for display). groupConfigsByRole()
+ * attaches each role's place in its group, and evaluateRoleWithSafes() applies it.
+ */
+
+const TIER_MODES = ['highest', 'all'];
+
+/**
+ * Role IDs from a list of role mentions or IDs, in the order given
+ * e.g. "<@&111> <@&222>, 333" -> ['111', '222', '333']
+ */
+function parseRoleList(input) {
+  const roleIds = [];
+
+  for (const match of input.matchAll(/<@&(\d+)>|\b(\d{15,25})\b/g)) {
+    const roleId = match[1] || match[2];
+    if (!roleIds.includes(roleId)) roleIds.push(roleId);
+  }
+
+  return roleIds;
+}
+
+/**
+ * A tier's role evaluation after looking at the tiers above it (highest-only groups):
+ * - a higher tier qualifies: this one is superseded, even if it couldn't be checked
+ * - a higher tier couldn't be checked: a qualified result becomes unknown, so the role is
+ *   neither added nor removed until it is clear which tier the member holds
+ */
+function applyHigherTiers(evaluation, higherEvaluations) {
+  const higher = higherEvaluations.find(result => result.status === 'qualified');
+  if (higher) {
+    return { ...evaluation, status: 'not_qualified', qualified: false, supersededBy: higher.roleId };
+  }
+
+  if (evaluation.status === 'qualified' && higherEvaluations.some(result => result.status === 'unknown')) {
+    return { ...evaluation, status: 'unknown', qualified: false };
+  }
+
+  return evaluation;
+}
+
+/**
+ * The single threshold a tier is gated on, for ordering checks.
+ * Returns null when the tier can't be put on a scale with others (several configs,
+ * a rule, or a custom call that isn't "at least").
+ * @returns {{ key: string, amount: bigint }|null} key - What the amount measures
+ */
+function getTierThreshold(roleGroup) {
+  if (roleGroup.configs.length !== 1 || roleGroup.rule) return null;
+
+  const config = roleGroup.configs[0];
+  if (config.token_type === 'CUSTOM_CALL' && config.custom_call?.comparator && config.custom_call.comparator !== 'gte') {
+    return null;
+  }
+
+  try {
+    return {
+      key: [
+        config.chain_id,
+        config.token_type,
+        (config.contract_address || '').toLowerCase(),
+        config.token_id_mode || '',
+        config.denomination || 'TOKEN',
+        (config.staking_contract || '').toLowerCase(),
+        (config.lp_token || '').toLowerCase(),
+        config.lp_include_wallet ? 'wallet' : '',
+        config.min_hold_days || 0,
+        (config.token_ids || []).map(range => `${range.from}-${range.to}`).join(','),
+        (config.traits || []).map(condition => `${condition.trait}${condition.operator}${condition.values.join('|')}`).join(';').toLowerCase()
+      ].join(':'),
+      amount: ethers.parseUnits(String(config.min_balance), 18)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check that the tiers of a group (lowest first) have increasing thresholds.
+ * Only possible when every tier is gated on the same holding; throws if they are out of order.
+ * @param {Array<{ name: string, roleGroup: object }>} tiers
+ * @returns {boolean} Whether the thresholds could be compared
+ */
+function checkTierOrder(tiers) {
+  const thresholds = tiers.map(tier => getTierThreshold(tier.roleGroup));
+  if (thresholds.some(threshold => !threshold) || new Set(thresholds.map(threshold => threshold.key)).size > 1) {
+    return false;
+  }
+
+  for (let i = 1; i < tiers.length; i++) {
+    if (thresholds[i].amount <= thresholds[i - 1].amount) {
+      throw new Error(`${tiers[i].name} must need more than ${tiers[i - 1].name} - list the tiers from lowest to highest`);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * How much a check result is short of its requirement, e.g. "2,500 OBZ" or "$120.50".
+ * Null if it is met or not an amount (custom comparators).
+ */
+function describeShortfall(result) {
+  if (!result || result.hasBalance) return null;
+  if (result.comparator && !['gte', 'gt'].includes(result.comparator)) return null;
+
+  const missing = result.requiredRaw - result.raw;
+  if (missing <= 0n) return null;
+
+  // ERC1155 any / all requirements are short of IDs rather than units
+  if (result.idMode === 'any' || result.idMode === 'all') {
+    return `${missing} more ID${missing > 1n ? 's' : ''} with ${formatTokenAmount(result.required)}+`;
+  }
+
+  if (result.denomination === 'USD') {
+    return `$${Number(ethers.formatUnits(missing, result.decimals)).toFixed(2)}`;
+  }
+
+  return formatTokenAmount(ethers.formatUnits(missing, result.decimals), result.symbol);
+}
+
+/**
+ * Where a member stands in a tier group
+ * @param {{ role_ids: string[] }} tierGroup
+ * @param {Map<string, object>} evaluations - Role ID -> evaluation from evaluateRoleWithSafes()
+ * @returns {{ unknown: boolean, current: string|null, next: string|null, shortfalls: string[] }}
+ *   unknown - a tier could not be checked, so the position isn't known; current/next - Role IDs;
+ *   shortfalls - what the next tier's unmet requirements are missing
+ */
+function getTierProgress(tierGroup, evaluations) {
+  if (tierGroup.role_ids.some(roleId => evaluations.get(roleId)?.status === 'unknown')) {
+    return { unknown: true, current: null, next: null, shortfalls: [] };
+  }
+
+  let currentRank = -1;
+  tierGroup.role_ids.forEach((roleId, rank) => {
+    if (evaluations.get(roleId)?.status === 'qualified') currentRank = rank;
+  });
+
+  const next = tierGroup.role_ids[currentRank + 1] || null;
+  const shortfalls = (evaluations.get(next)?.configResults || [])
+    .filter(configResult => configResult.status === 'not_qualified')
+    .map(configResult => describeShortfall(configResult.result))
+    .filter(Boolean);
+
+  return {
+    unknown: false,
+    current: currentRank >= 0 ? tierGroup.role_ids[currentRank] : null,
+    next,
+    shortfalls
+  };
+}
+
+module.exports = {
+  TIER_MODES,
+  parseRoleList,
+  applyHigherTiers,
+  getTierThreshold,
+  checkTierOrder,
+  describeShortfall,
+  getTierProgress
+};
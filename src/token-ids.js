@@ -0,0 +1,126 @@
+/**
+ * Token ID sets - lets an ERC721 config count only some tokens of a collection,
+ * e.g. the 1/1s "1-50" or a sub-collection "1000-1999,2500", and lists the IDs of an ERC1155 config.
+ *
+ * Sets are stored on the config as token_ids: [{ from, to }] with decimal strings
+ * (token IDs can be uint256), ranges inclusive, sorted and merged.
+ */
+
+// Most IDs a set may list when they have to be checked one by one with ownerOf
+const MAX_OWNER_OF_IDS = 10000;
+
+// Most IDs an ERC1155 config may list (read with balanceOfBatch)
+const MAX_ERC1155_IDS = 1000;
+
+// How the balances of an ERC1155 config's IDs are combined (token_id_mode):
+// any - one ID held at min_balance, all - every ID held at min_balance, sum - units of all IDs added up
+const ERC1155_ID_MODES = ['any', 'all', 'sum'];
+
+// Matched IDs listed in messages before the rest are summarised as "+N more"
+const MAX_LISTED_IDS = 10;
+
+/**
+ * Parse a token ID list like "1-50, 77, 100-120"
+ * @returns {Array<{ from: string, to: string }>}
+ */
+function parseTokenIds(input) {
+  const parts = input.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    throw new Error('List at least one token ID, e.g. "1-50" or "1,7,12"');
+  }
+
+  const ranges = parts.map(part => {
+    const match = part.match(/^#?(\d+)(?:\s*-\s*#?(\d+))?$/);
+    if (!match) {
+      throw new Error(`"${part}" is not a token ID or range (e.g. 7 or 1-50)`);
+    }
+
+    const from = BigInt(match[1]);
+    const to = BigInt(match[2] ?? match[1]);
+    if (to < from) {
+      throw new Error(`Range "${part}" ends before it starts`);
+    }
+    return { from, to };
+  });
+
+  // Sort and merge overlapping or adjacent ranges
+  ranges.sort((a, b) => (a.from < b.from ? -1 : a.from > b.from ? 1 : 0));
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.from <= last.to + 1n) {
+      if (range.to > last.to) last.to = range.to;
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  return merged.map(range => ({ from: range.from.toString(), to: range.to.toString() }));
+}
+
+/**
+ * Read the old ERC1155 min_balance encoding "tokenId:amount" (amount defaults to 1)
+ * @returns {{ tokenIds: Array<{ from: string, to: string }>, amount: string }|null} null if not in that format
+ */
+function parseLegacyERC1155Balance(minBalance) {
+  const match = String(minBalance).match(/^(\d+)(?::(\d+))?$/);
+  if (!match) return null;
+  return { tokenIds: [{ from: match[1], to: match[1] }], amount: match[2] || '1' };
+}
+
+/**
+ * Number of IDs in a set
+ */
+function countTokenIds(ranges) {
+  return ranges.reduce((count, range) => count + BigInt(range.to) - BigInt(range.from) + 1n, 0n);
+}
+
+/**
+ * Whether a token ID is in a set
+ */
+function containsTokenId(ranges, tokenId) {
+  const id = BigInt(tokenId);
+  return ranges.some(range => id >= BigInt(range.from) && id <= BigInt(range.to));
+}
+
+/**
+ * Every ID in a set, in order (only for sets within MAX_OWNER_OF_IDS)
+ * @returns {bigint[]}
+ */
+function expandTokenIds(ranges) {
+  const ids = [];
+  for (const range of ranges) {
+    for (let id = BigInt(range.from); id <= BigInt(range.to); id++) {
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * A set as written by admins, e.g. "1-50, 77"
+ */
+function formatTokenIds(ranges) {
+  return ranges.map(range => (range.from === range.to ? range.from : `${range.from}-${range.to}`)).join(', ');
+}
+
+/**
+ * Matched IDs for messages, e.g. "#1, #7, #12" or "#1, #2, ... +40 more"
+ */
+function formatMatchedTokenIds(tokenIds) {
+  const listed = tokenIds.slice(0, MAX_LISTED_IDS).map(id => `#${id}`).join(', ');
+  return tokenIds.length > MAX_LISTED_IDS ? `${listed} +${tokenIds.length - MAX_LISTED_IDS} more` : listed;
+}
+
+module.exports = {
+  MAX_OWNER_OF_IDS,
+  MAX_ERC1155_IDS,
+  ERC1155_ID_MODES,
+  parseTokenIds,
+  parseLegacyERC1155Balance,
+  countTokenIds,
+  containsTokenId,
+  expandTokenIds,
+  formatTokenIds,
+  formatMatchedTokenIds
+};
@@ -0,0 +1,143 @@
+const { ethers } = require('ethers');
+
+/**
+ * Token contract introspection - used by /addrole to make sure a contract is what the
+ * admin says it is, and to read the name/symbol/decimals stored on the config.
+ */
+
+const ERC165_ABI = [
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)'
+];
+
+const METADATA_ABI = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+// Some older tokens (e.g. MKR) return bytes32 instead of string
+const METADATA_BYTES32_ABI = [
+  'function name() view returns (bytes32)',
+  'function symbol() view returns (bytes32)'
+];
+
+const INTERFACE_IDS = {
+  ERC165: '0x01ffc9a7',
+  ERC721: '0x80ac58cd',
+  ERC721Enumerable: '0x780e9d63',
+  ERC1155: '0xd9b67a26'
+};
+
+/**
+ * Call supportsInterface, treating reverts and bad data as "no"
+ */
+async function supportsInterface(contract, interfaceId) {
+  try {
+    return await contract.supportsInterface(interfaceId);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read name() or symbol(), falling back to the bytes32 variant. Returns null if neither works.
+ */
+async function readText(contract, bytes32Contract, method) {
+  try {
+    return await contract[method]();
+  } catch (error) {
+    try {
+      return ethers.decodeBytes32String(await bytes32Contract[method]());
+    } catch (fallbackError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Read the standards a contract reports via ERC165, plus its name/symbol/decimals
+ * @returns {Promise<{ erc165: boolean, erc721: boolean, erc1155: boolean, name: string|null, symbol: string|null, decimals: number|null }>}
+ */
+async function readContractInfo(runner, contractAddress) {
+  const erc165Contract = new ethers.Contract(contractAddress, ERC165_ABI, runner);
+  const metadataContract = new ethers.Contract(contractAddress, METADATA_ABI, runner);
+  const bytes32Contract = new ethers.Contract(contractAddress, METADATA_BYTES32_ABI, runner);
+
+  // A real ERC165 contract says yes to ERC165 and no to the invalid id 0xffffffff
+  const [erc165, invalid, erc721, erc1155, name, symbol, decimals] = await Promise.all([
+    supportsInterface(erc165Contract, INTERFACE_IDS.ERC165),
+    supportsInterface(erc165Contract, '0xffffffff'),
+    supportsInterface(erc165Contract, INTERFACE_IDS.ERC721),
+    supportsInterface(erc165Contract, INTERFACE_IDS.ERC1155),
+    readText(metadataContract, bytes32Contract, 'name'),
+    readText(metadataContract, bytes32Contract, 'symbol'),
+    metadataContract.decimals().then(Number).catch(() => null)
+  ]);
+
+  const isErc165 = erc165 && !invalid;
+
+  return {
+    erc165: isErc165,
+    erc721: isErc165 && erc721,
+    erc1155: isErc165 && erc1155,
+    name,
+    symbol,
+    decimals
+  };
+}
+
+/**
+ * What a contract looks like, for error messages
+ */
+function describeDetectedType(info) {
+  if (info.erc721) return 'an ERC721 NFT collection';
+  if (info.erc1155) return 'an ERC1155 multi-token contract';
+  if (info.decimals !== null) return `an ERC20 token (${info.decimals} decimals)`;
+  return 'not a token contract';
+}
+
+/**
+ * Check that a contract matches the token type an admin picked.
+ * Throws with an explanation if it doesn't.
+ * @returns {{ name: string|null, symbol: string|null, decimals: number|null }} Metadata to store on the config
+ */
+function checkTokenType(info, tokenType) {
+  const detected = describeDetectedType(info);
+
+  switch (tokenType) {
+    case 'ERC20':
+      if (info.erc721 || info.erc1155 || info.decimals === null) {
+        throw new Error(info.decimals === null
+          ? `This contract is ${detected} - it has no decimals(), so it is not an ERC20 token`
+          : `This contract is ${detected}, not an ERC20 token`);
+      }
+      break;
+
+    case 'ERC721':
+      if (!info.erc721) {
+        throw new Error(`This contract is ${detected} - it does not report ERC721 support via ERC165 supportsInterface`);
+      }
+      break;
+
+    case 'ERC1155':
+      if (!info.erc1155) {
+        throw new Error(`This contract is ${detected} - it does not report ERC1155 support via ERC165 supportsInterface`);
+      }
+      break;
+
+    default:
+      throw new Error(`Unsupported token type: ${tokenType}`);
+  }
+
+  return {
+    name: info.name || null,
+    symbol: info.symbol || null,
+    decimals: tokenType === 'ERC20' ? info.decimals : 0
+  };
+}
+
+module.exports = {
+  INTERFACE_IDS,
+  readContractInfo,
+  checkTokenType
+};
@@ -0,0 +1,177 @@
+const { ethers } = require('ethers');
+
+/**
+ * Transfer history - a wallet's incoming/outgoing transfers of one token, read
+ * from Transfer / TransferSingle / TransferBatch logs.
+ *
+ * Logs are filtered by the wallet's indexed from/to topics, in block ranges small
+ * enough for public RPCs. Scanned ranges are cached per wallet, so later checks only
+ * fetch the blocks produced since the last scan; the least recently used wallets are
+ * dropped past `TRANSFER_CACHE_SIZE`.
+ */
+
+const TRANSFER_EVENTS = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+]);
+
+const TRANSFER_TOPIC = TRANSFER_EVENTS.getEvent('Transfer').topicHash;
+const TRANSFER_SINGLE_TOPIC = TRANSFER_EVENTS.getEvent('TransferSingle').topicHash;
+const TRANSFER_BATCH_TOPIC = TRANSFER_EVENTS.getEvent('TransferBatch').topicHash;
+
+// Many public RPCs (including the Avalanche one) reject eth_getLogs over more than 2048 blocks
+const DEFAULT_LOG_BLOCK_RANGE = 2048;
+
+// How many (chain, contract, tokenId, wallet) histories to keep in memory
+const DEFAULT_CACHE_SIZE = 1000;
+
+class TransferHistory {
+  /**
+   * @param {(chainId: number) => ethers.Provider} getProvider
+   */
+  constructor(getProvider) {
+    this.getProvider = getProvider;
+    this.blockRange = parseInt(process.env.LOG_BLOCK_RANGE) || DEFAULT_LOG_BLOCK_RANGE;
+    this.cacheSize = parseInt(process.env.TRANSFER_CACHE_SIZE) || DEFAULT_CACHE_SIZE;
+    this.cache = new Map(); // key -> { fromBlock, toBlock, transfers }, least recently used first
+    this.pending = new Map(); // key -> in-flight scan
+  }
+
+  /**
+   * Get a wallet's transfers of a token between two blocks (inclusive), oldest first.
+   * Each transfer is { blockNumber, logIndex, delta, counterparty } where delta is
+   * the signed change to the wallet's balance (ERC721 transfers count as 1).
+   */
+  async getTransfers({ chainId, tokenType, contract, wallet, tokenId = null, fromBlock, toBlock }) {
+    const key = [chainId, contract, tokenId ?? '', wallet].join(':').toLowerCase();
+
+    // Concurrent checks of the same wallet share one scan
+    while (this.pending.has(key)) {
+      await this.pending.get(key).catch(() => {});
+    }
+
+    const scan = this.extendCache(key, { chainId, tokenType, contract, wallet: wallet.toLowerCase(), tokenId, fromBlock, toBlock });
+    this.pending.set(key, scan);
+
+    try {
+      const entry = await scan;
+      return entry.transfers.filter(t => t.blockNumber >= fromBlock && t.blockNumber <= toBlock);
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  /**
+   * Scan whatever part of [fromBlock, toBlock] is not cached yet
+   */
+  async extendCache(key, query) {
+    const cached = this.cache.get(key);
+    const entry = cached || { fromBlock: query.fromBlock, toBlock: query.fromBlock - 1, transfers: [] };
+
+    if (cached && query.fromBlock < cached.fromBlock) {
+      const older = await this.scan(query, query.fromBlock, cached.fromBlock - 1);
+      entry.transfers = [...older, ...entry.transfers];
+      entry.fromBlock = query.fromBlock;
+    }
+
+    if (query.toBlock > entry.toBlock) {
+      const newer = await this.scan(query, entry.toBlock + 1, query.toBlock);
+      entry.transfers = [...entry.transfers, ...newer];
+      entry.toBlock = query.toBlock;
+    }
+
+    // Re-insert so the Map stays in least recently used order
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Fetch and decode the wallet's outgoing and incoming transfer logs in block range chunks
+   */
+  async scan({ chainId, tokenType, contract, wallet, tokenId }, fromBlock, toBlock) {
+    const provider = this.getProvider(chainId);
+    const walletTopic = ethers.zeroPadValue(wallet, 32);
+
+    // from/to are topics 1 and 2 of Transfer, 2 and 3 of TransferSingle / TransferBatch (after the operator)
+    const filters = tokenType === 'ERC1155'
+      ? [
+        [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, walletTopic],
+        [[TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC], null, null, walletTopic]
+      ]
+      : [
+        [TRANSFER_TOPIC, walletTopic],
+        [TRANSFER_TOPIC, null, walletTopic]
+      ];
+
+    const transfers = [];
+
+    for (let start = fromBlock; start <= toBlock; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, toBlock);
+      const results = await Promise.all(filters.map(topics =>
+        provider.getLogs({ address: contract, topics, fromBlock: start, toBlock: end })
+      ));
+
+      for (const log of results.flat()) {
+        const transfer = this.decodeTransfer(log, { tokenType, tokenId });
+        if (!transfer) continue;
+
+        // Self-transfers are dropped by decodeTransfer, so each log is in exactly one of the two results
+        const outgoing = transfer.from === wallet;
+        transfers.push({
+          blockNumber: transfer.blockNumber,
+          logIndex: transfer.logIndex,
+          delta: outgoing ? -transfer.amount : transfer.amount,
+          counterparty: outgoing ? transfer.to : transfer.from
+        });
+      }
+    }
+
+    return transfers.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Turn a log into { blockNumber, logIndex, from, to, amount } (null if it doesn't move the tracked token)
+   */
+  decodeTransfer(log, { tokenType, tokenId }) {
+    let from, to, amount;
+
+    if (log.topics[0] === TRANSFER_TOPIC) {
+      // ERC20 has the value in data, ERC721 has the token ID as a fourth (indexed) topic
+      from = ethers.dataSlice(log.topics[1], 12);
+      to = ethers.dataSlice(log.topics[2], 12);
+      amount = log.topics.length === 4 || tokenType === 'ERC721' ? 1n : BigInt(log.data);
+    } else {
+      const parsed = TRANSFER_EVENTS.parseLog(log);
+      if (!parsed) return null;
+
+      ({ from, to } = parsed.args);
+
+      if (parsed.name === 'TransferSingle') {
+        if (String(parsed.args.id) !== String(tokenId)) return null;
+        amount = parsed.args.value;
+      } else {
+        amount = parsed.args.ids.reduce(
+          (sum, id, i) => (String(id) === String(tokenId) ? sum + parsed.args.values[i] : sum),
+          0n
+        );
+        if (amount === 0n) return null;
+      }
+    }
+
+    from = from.toLowerCase();
+    to = to.toLowerCase();
+
+    // A self-transfer doesn't change anyone's balance
+    if (from === to) return null;
+
+    return { blockNumber: log.blockNumber, logIndex: log.index, from, to, amount };
+  }
+}
+
+module.exports = TransferHistory;
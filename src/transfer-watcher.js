@@ -0,0 +1,203 @@
+const { ethers } = require('ethers');
+const db = require('./database-mongo');
+const { DEFAULT_CHAIN_ID } = require('./chains');
+
+/**
+ * Transfer watcher - near real-time role updates.
+ *
+ * Polls Transfer / TransferSingle / TransferBatch logs of every configured token contract
+ * in block ranges, maps the senders and receivers to linked wallets (and linked Safes),
+ * and re-verifies only those users. The last processed block per chain is stored, so a
+ * restart resumes where it stopped instead of skipping the blocks in between.
+ *
+ * Delegated vaults and price moves (USD requirements) are not watched - the periodic
+ * verification still picks those up.
+ */
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const TRANSFER_SINGLE_TOPIC = ethers.id('TransferSingle(address,address,address,uint256,uint256)');
+const TRANSFER_BATCH_TOPIC = ethers.id('TransferBatch(address,address,address,uint256[],uint256[])');
+
+const DEFAULT_POLL_SECONDS = 15;
+// Same default as transfer-history.js - the public Avalanche RPC's eth_getLogs limit
+const DEFAULT_LOG_BLOCK_RANGE = 2048;
+// Ranges per chain per poll, so catching up after downtime doesn't block other chains
+const MAX_RANGES_PER_POLL = 10;
+
+class TransferWatcher {
+  /**
+   * @param {import('./verifier')} verifier - Its verifyUser() re-evaluates affected users
+   */
+  constructor(verifier) {
+    this.verifier = verifier;
+    this.blockchainService = verifier.blockchainService;
+    this.pollInterval = (parseInt(process.env.WATCHER_POLL_SECONDS) || DEFAULT_POLL_SECONDS) * 1000;
+    this.blockRange = parseInt(process.env.LOG_BLOCK_RANGE) || DEFAULT_LOG_BLOCK_RANGE;
+    this.isPolling = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    console.log(`Starting Transfer watcher (polls every ${this.pollInterval / 1000} seconds)`);
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  /**
+   * Poll every chain that has token configs once
+   */
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      const contractsByChain = this.getWatchedContracts(await db.getAllRoleConfigs());
+
+      for (const [chainId, contracts] of contractsByChain) {
+        try {
+          await this.pollChain(chainId, contracts);
+        } catch (error) {
+          // The stored block isn't advanced, so the same range is retried next poll
+          console.error(`Transfer watcher error on chain ${chainId}:`, error.shortMessage || error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Transfer watcher error:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Token contracts to watch, keyed by chain ID (NATIVE and CUSTOM_CALL configs have no Transfer events)
+   * @returns {Map<number, string[]>}
+   */
+  getWatchedContracts(roleConfigs) {
+    const contractsByChain = new Map();
+
+    for (const config of roleConfigs) {
+      if (config.token_type === 'NATIVE' || config.token_type === 'CUSTOM_CALL') continue;
+
+      // Configs saved before multi-chain support have no chain_id
+      const chainId = Number(config.chain_id || DEFAULT_CHAIN_ID);
+      if (!contractsByChain.has(chainId)) contractsByChain.set(chainId, new Set());
+      contractsByChain.get(chainId).add(config.contract_address.toLowerCase());
+      // LP configs that count the token held outside the pair watch the token too
+      if (config.lp_include_wallet) contractsByChain.get(chainId).add(config.lp_token.toLowerCase());
+    }
+
+    return new Map([...contractsByChain].map(([chainId, contracts]) => [chainId, [...contracts]]));
+  }
+
+  /**
+   * Process the blocks produced on a chain since the last poll
+   */
+  async pollChain(chainId, contracts) {
+    const provider = this.blockchainService.getProvider(chainId);
+    const head = await provider.getBlockNumber();
+    let lastBlock = await db.getWatcherBlock(chainId);
+
+    // First run on this chain - start from now, the periodic verification covers the past
+    if (lastBlock === null) {
+      await db.setWatcherBlock(chainId, head);
+      return;
+    }
+
+    for (let i = 0; i < MAX_RANGES_PER_POLL && lastBlock < head; i++) {
+      const fromBlock = lastBlock + 1;
+      const toBlock = Math.min(fromBlock + this.blockRange - 1, head);
+
+      const logs = await provider.getLogs({
+        address: contracts,
+        topics: [[TRANSFER_TOPIC, TRANSFER_SINGLE_TOPIC, TRANSFER_BATCH_TOPIC]],
+        fromBlock,
+        toBlock
+      });
+
+      this.invalidateTokenOwners(chainId, logs);
+
+      const addresses = this.getTransferParties(logs);
+      if (addresses.length > 0) {
+        await this.reverifyAffectedUsers(chainId, addresses, { fromBlock, toBlock, transfers: logs.length });
+      }
+
+      // Only after the users were handled, so a crash re-processes the range rather than skipping it
+      await db.setWatcherBlock(chainId, toBlock);
+      lastBlock = toBlock;
+    }
+  }
+
+  /**
+   * Drop the cached owners of the ERC721 tokens that moved (they are shared by every wallet)
+   */
+  invalidateTokenOwners(chainId, logs) {
+    for (const log of logs) {
+      // ERC721 Transfer has the token ID as a fourth indexed topic
+      if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length !== 4) continue;
+      this.blockchainService.invalidateTokenOwner({ chainId, contract: log.address, tokenId: BigInt(log.topics[3]).toString() });
+    }
+  }
+
+  /**
+   * Senders and receivers of a set of transfer logs (lowercased, without the zero address)
+   */
+  getTransferParties(logs) {
+    const addresses = new Set();
+
+    for (const log of logs) {
+      // ERC1155 events have the operator first, so from/to sit one topic later
+      const offset = log.topics[0] === TRANSFER_TOPIC ? 1 : 2;
+      for (const topic of log.topics.slice(offset, offset + 2)) {
+        addresses.add(ethers.dataSlice(topic, 12).toLowerCase());
+      }
+    }
+
+    addresses.delete(ethers.ZeroAddress);
+    return [...addresses];
+  }
+
+  /**
+   * Re-verify the users who linked any of the addresses, as a wallet or a Safe
+   */
+  async reverifyAffectedUsers(chainId, addresses, { fromBlock, toBlock, transfers }) {
+    const [wallets, safes] = await Promise.all([
+      db.getWalletsByAddresses(addresses),
+      db.getLinkedSafesByAddresses(addresses, chainId)
+    ]);
+
+    const discordIds = new Set([...wallets, ...safes].map(entry => entry.discord_id));
+    if (discordIds.size === 0) return;
+
+    // Their cached balances are out of date now
+    for (const address of [...wallets.map(wallet => wallet.wallet_address), ...safes.map(safe => safe.safe_address)]) {
+      this.blockchainService.invalidateBalances({ chainId, wallet: address });
+    }
+
+    console.log(`Transfer watcher: ${transfers} transfer(s) in blocks ${fromBlock}-${toBlock} on chain ${chainId} affect ${discordIds.size} user(s)`);
+
+    for (const discordId of discordIds) {
+      const user = await db.getUser(discordId);
+      if (!user) continue;
+
+      await this.verifier.verifyUser(user).catch(error => {
+        console.error(`Error re-verifying user ${discordId} after a transfer:`, error.message);
+        return db.scheduleRecheck(discordId);
+      });
+    }
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('Transfer watcher stopped');
+    }
+  }
+}
+
+module.exports = TransferWatcher;
@@ -1,12 +1,17 @@
 const cron = require('node-cron');
 const db = require('./database-mongo');
 const BlockchainService = require('./blockchain');
+const { groupConfigsByRole, describeRoleEvaluation } = require('./rules');
+const { evaluateRoleWithSafes, releaseOrphanedSafeClaims } = require('./safes');
 
 class VerificationService {
-  constructor(client, rpcUrl) {
+  constructor(client) {
     this.client = client;
-    this.blockchainService = new BlockchainService(rpcUrl);
+    this.blockchainService = BlockchainService.shared();
     this.isRunning = false;
+    this.isRechecking = false;
+    // Number of users verified concurrently
+    this.concurrency = parseInt(process.env.VERIFICATION_CONCURRENCY) || 25;
   }
 
   /**
@@ -26,6 +31,11 @@ class VerificationService {
       await this.runVerification();
     });
 
+    // Users whose roles could not be checked (RPC errors) are retried every few minutes
+    this.recheckJob = cron.schedule('*/5 * * * *', async () => {
+      await this.runRechecks();
+    });
+
     // Also run on startup after a short delay
     setTimeout(() => {
       console.log('Running initial verification check...');
@@ -37,6 +47,11 @@ class VerificationService {
    * Run verification for all users across all guilds
    */
   async runVerification() {
+    // Rechecks are short - wait for them rather than skip a whole periodic run
+    while (this.isRechecking) {
+      await this.sleep(1000);
+    }
+
     if (this.isRunning) {
       console.log('Verification already running, skipping...');
       return;
@@ -46,30 +61,45 @@ class VerificationService {
     console.log(`[${new Date().toISOString()}] Starting periodic verification...`);
 
     try {
+      await this.releaseOrphanedSafeClaims();
+
       const users = await db.getAllUsers();
       console.log(`Checking ${users.length} verified users...`);
 
       let totalRolesAdded = 0;
       let totalRolesRemoved = 0;
+      let totalRolesUnknown = 0;
       let errors = 0;
 
-      for (const user of users) {
-        try {
-          const result = await this.verifyUser(user);
+      // Verify users in concurrent chunks - their contract reads share Multicall3 batches
+      for (let i = 0; i < users.length; i += this.concurrency) {
+        const chunk = users.slice(i, i + this.concurrency);
+
+        const results = await Promise.all(chunk.map(user =>
+          this.verifyUser(user).catch(error => {
+            console.error(`Error verifying user ${user.discord_id}:`, error.message);
+            return null;
+          })
+        ));
+
+        for (const result of results) {
+          if (!result) {
+            errors++;
+            continue;
+          }
           totalRolesAdded += result.rolesAdded;
           totalRolesRemoved += result.rolesRemoved;
-        } catch (error) {
-          console.error(`Error verifying user ${user.discord_id}:`, error.message);
-          errors++;
+          totalRolesUnknown += result.rolesUnknown;
         }
 
-        // Small delay to avoid rate limiting
+        // Small delay between chunks to avoid rate limiting
         await this.sleep(500);
       }
 
       console.log(`[${new Date().toISOString()}] Verification complete!`);
       console.log(`  Roles added: ${totalRolesAdded}`);
       console.log(`  Roles removed: ${totalRolesRemoved}`);
+      console.log(`  Roles that could not be checked (will retry): ${totalRolesUnknown}`);
       console.log(`  Errors: ${errors}`);
 
       // Also update NFT status for Blaze registrations
@@ -82,12 +112,66 @@ class VerificationService {
     }
   }
 
+  /**
+   * Free Safe claims of members who left, or for roles that were deleted or are no longer gated
+   */
+  async releaseOrphanedSafeClaims() {
+    for (const guild of this.client.guilds.cache.values()) {
+      try {
+        const released = await releaseOrphanedSafeClaims(guild);
+        if (released > 0) {
+          console.log(`Released ${released} orphaned Safe claim(s) in guild ${guild.id}`);
+        }
+      } catch (error) {
+        console.error(`Error releasing orphaned Safe claims in guild ${guild.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Re-verify users whose last check had roles that could not be checked
+   */
+  async runRechecks() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.isRechecking = true;
+
+    try {
+      const users = await db.getUsersDueForRecheck();
+      if (users.length === 0) return;
+
+      console.log(`Rechecking ${users.length} user(s) with unknown role results...`);
+
+      for (const user of users) {
+        // verifyUser schedules another recheck if anything is still unknown
+        await db.clearRecheck(user.discord_id);
+        await this.verifyUser(user).catch(error => {
+          console.error(`Error rechecking user ${user.discord_id}:`, error.message);
+          return db.scheduleRecheck(user.discord_id);
+        });
+      }
+    } catch (error) {
+      console.error('Error during rechecks:', error);
+    } finally {
+      this.isRunning = false;
+      this.isRechecking = false;
+    }
+  }
+
   /**
    * Verify a single user across all guilds they're in
    */
   async verifyUser(user) {
     let rolesAdded = 0;
     let rolesRemoved = 0;
+    let rolesUnknown = 0;
+
+    // Get all wallets for this user once, shared by every guild
+    const userWallets = await db.getWallets(user.discord_id);
+    if (userWallets.length === 0) {
+      console.log(`No wallets found for user ${user.discord_id}`);
+      return { rolesAdded, rolesRemoved, rolesUnknown };
+    }
 
     // Get all guilds the bot is in
     for (const [guildId, guild] of this.client.guilds.cache) {
@@ -96,19 +180,23 @@ class VerificationService {
         const member = await guild.members.fetch(user.discord_id).catch(() => null);
         if (!member) continue;
 
-        // Get role configs for this guild
+        // Get role configs and rules for this guild
         const roleConfigs = await db.getRoleConfigs(guildId);
         if (roleConfigs.length === 0) continue;
-
-        // Check each role requirement
-        for (const config of roleConfigs) {
-          try {
-            const result = await this.checkAndUpdateRole(member, user, config);
-            if (result.added) rolesAdded++;
-            if (result.removed) rolesRemoved++;
-          } catch (error) {
-            console.error(`Error checking role ${config.role_id} for user ${user.discord_id}:`, error.message);
-          }
+        const roleGroups = groupConfigsByRole(roleConfigs, await db.getRoleRules(guildId), await db.getTierGroups(guildId));
+
+        // Check every role concurrently so all reads for this user are batched
+        const results = await Promise.all(roleGroups.map(roleGroup =>
+          this.checkAndUpdateRole(member, user, roleGroup, userWallets).catch(error => {
+            console.error(`Error checking role ${roleGroup.roleId} for user ${user.discord_id}:`, error.message);
+            return { added: false, removed: false, unknown: true };
+          })
+        ));
+
+        for (const result of results) {
+          if (result.added) rolesAdded++;
+          if (result.removed) rolesRemoved++;
+          if (result.unknown) rolesUnknown++;
         }
 
         await db.updateLastChecked(user.discord_id);
@@ -118,76 +206,121 @@ class VerificationService {
       }
     }
 
-    return { rolesAdded, rolesRemoved };
+    if (rolesUnknown > 0) {
+      const scheduled = await db.scheduleRecheck(user.discord_id);
+      if (!scheduled) {
+        console.warn(`Giving up rechecking ${user.discord_id} until the next periodic verification - too many failed checks in a row`);
+      }
+    } else {
+      await db.resetRecheckAttempts(user.discord_id);
+    }
+
+    return { rolesAdded, rolesRemoved, rolesUnknown };
+  }
+
+  /**
+   * Flag configs whose checks fail deterministically (reverts, a misconfigured contract) to admins
+   * in /listroles, and clear the flag once they check cleanly again. Only writes on a change.
+   */
+  async recordConfigErrors(evaluation) {
+    for (const { config, error, configError } of evaluation.configResults) {
+      const message = configError ? configError.shortMessage || configError.message : null;
+
+      if (message && message !== config.check_error) {
+        console.error(`Role config ${config._id} fails to check: ${message}`);
+        await db.setRoleConfigCheckError(config._id, message);
+      } else if (!configError && !error && config.check_error) {
+        await db.setRoleConfigCheckError(config._id, null);
+      }
+    }
   }
 
   /**
-   * Check token balance and update role accordingly
-   * Checks ALL wallets - user qualifies if ANY wallet meets requirements
+   * Check token balances and update a role accordingly
+   * The role's rule decides if it has one; otherwise the user qualifies if ANY
+   * of the role's configs is met - by a single wallet, or by the sum of all
+   * wallets for configs in "sum" mode.
+   * If the outcome is unknown (some checks failed), the role is left as it is.
+   * @param {{ roleId, configs, rule }} roleGroup - From groupConfigsByRole()
    */
-  async checkAndUpdateRole(member, user, roleConfig) {
-    const result = { added: false, removed: false };
+  async checkAndUpdateRole(member, user, roleGroup, userWallets = null) {
+    const result = { added: false, removed: false, unknown: false };
+    const roleId = roleGroup.roleId;
 
     try {
-      // Get all wallets for this user
-      const userWallets = await db.getWallets(user.discord_id);
+      // Get all wallets for this user (unless the caller already has them)
+      if (!userWallets) {
+        userWallets = await db.getWallets(user.discord_id);
+      }
       if (userWallets.length === 0) {
         console.log(`No wallets found for user ${user.discord_id}`);
         return result;
       }
 
-      // Check if ANY wallet has required tokens
-      let meetsRequirements = false;
-      let balanceInfo = null;
-
-      for (const wallet of userWallets) {
-        try {
-          const balanceCheck = await this.blockchainService.verifyTokenRequirements(
-            wallet.wallet_address,
-            roleConfig
-          );
-
-          if (balanceCheck.hasBalance) {
-            meetsRequirements = true;
-            balanceInfo = balanceCheck;
-            break; // Found qualifying wallet, no need to check others
-          }
-        } catch (error) {
-          console.error(`Error checking wallet ${wallet.wallet_address}:`, error.message);
-        }
+      const role = member.guild.roles.cache.get(roleId);
+      if (!role) {
+        console.log(`Role ${roleId} not found in guild ${member.guild.id}`);
+        return result;
       }
 
-      const role = member.guild.roles.cache.get(roleConfig.role_id);
-      if (!role) {
-        console.log(`Role ${roleConfig.role_id} not found in guild ${member.guild.id}`);
+      const evaluation = await evaluateRoleWithSafes(this.blockchainService, {
+        discordId: user.discord_id,
+        guildId: member.guild.id,
+        walletAddresses: userWallets.map(wallet => wallet.wallet_address),
+        roleGroup
+      });
+      await this.recordConfigErrors(evaluation);
+
+      const hasRole = member.roles.cache.has(roleId);
+
+      // Never add or remove a role on a partial check - record it and retry later
+      if (evaluation.status === 'unknown') {
+        await db.logVerification(
+          user.discord_id,
+          member.guild.id,
+          roleId,
+          'unknown',
+          `Periodic verification - ${describeRoleEvaluation(evaluation)}; role ${hasRole ? 'kept' : 'not added'} until the next check`
+        );
+        console.warn(`Could not check role ${role.name} for ${user.username} (${user.discord_id}), will retry`);
+        result.unknown = true;
         return result;
       }
 
-      const hasRole = member.roles.cache.has(roleConfig.role_id);
+      // Wallets beyond the user's own that were counted
+      const extras = [];
+      if (evaluation.delegatedVaults.length > 0) extras.push(`${evaluation.delegatedVaults.length} delegated vault(s)`);
+      if (evaluation.safes.length > 0) extras.push(`${evaluation.safes.length} linked Safe(s)`);
 
-      // Add role if user has tokens but doesn't have role
-      if (meetsRequirements && !hasRole) {
+      // Add role if user qualifies but doesn't have role
+      if (evaluation.qualified && !hasRole) {
         await member.roles.add(role);
         await db.logVerification(
           user.discord_id,
           member.guild.id,
-          roleConfig.role_id,
+          roleId,
           'added',
-          'Periodic verification - qualified via one of their wallets'
+          (roleGroup.rule
+            ? 'Periodic verification - role rule satisfied'
+            : 'Periodic verification - qualified via their linked wallets') +
+            (extras.length > 0 ? ` (including ${extras.join(' and ')})` : '')
         );
         console.log(`Added role ${role.name} to ${user.username} (${user.discord_id})`);
         result.added = true;
       }
 
-      // Remove role if user doesn't have tokens but has role
-      if (!meetsRequirements && hasRole) {
+      // Remove role if user no longer qualifies but has role
+      if (!evaluation.qualified && hasRole) {
         await member.roles.remove(role);
         await db.logVerification(
           user.discord_id,
           member.guild.id,
-          roleConfig.role_id,
+          roleId,
           'removed',
-          `Insufficient balance on all ${userWallets.length} wallet(s)`
+          evaluation.supersededBy
+            ? `Periodic verification - ${describeRoleEvaluation(evaluation)}`
+            : `${describeRoleEvaluation(evaluation)} across ${userWallets.length} wallet(s)` +
+              (evaluation.delegatedVaults.length > 0 ? ` and ${evaluation.delegatedVaults.length} delegated vault(s)` : '')
         );
         console.log(`Removed role ${role.name} from ${user.username} (${user.discord_id})`);
         result.removed = true;
@@ -249,6 +382,9 @@ class VerificationService {
    * Stop the verification service
    */
   stop() {
+    if (this.recheckJob) {
+      this.recheckJob.stop();
+    }
     if (this.job) {
       this.job.stop();
       console.log('Verification service stopped');